@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Node Swatch - Command-line palette generator
+ *
+ *   node-swatch generate triadic --base 3498db --count 4 --format scss --out tokens.scss
+ */
+
+import { writeFileSync, readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { generatePalette, HARMONY_TYPES, COLOR_SPACES } from '../src/services/colorGenerator.js';
+import { exportPalette, EXPORT_FORMATS, EXPORT_KEYS } from '../src/services/exporters.js';
+import { parseColor, rgbToHex, hexToRgb, getContrastColor } from '../src/utils/colorUtils.js';
+import { loadHarmonyModules, getHarmony } from '../src/services/harmonyRegistry.js';
+
+const ACCESSIBILITY_LEVELS = ['AA', 'AAA'];
+
+const USAGE = `Usage: node-swatch <command> [options]
+
+Commands:
+  generate [harmony]     Generate a palette (harmony defaults to random)
+  harmonies              List harmony types
+  formats                List export formats
+
+Options for generate:
+  -b, --base <color>     Base color in any CSS color syntax, or bare hex digits
+  -c, --count <n>        Number of colors, 2-6 (default: 5)
+  -a, --angle <deg>      Angle offset for the custom harmony (default: 45)
+  -p, --param <k=v>      Harmony parameter, e.g. angle=60 (repeatable)
+      --space <space>    Hue rotation space: ${COLOR_SPACES.join(', ')} (default: hsl)
+  -s, --seed <seed>      PRNG seed for a reproducible palette
+  -l, --lock <i:hex>     Keep a color fixed, e.g. 0:3498db (repeatable)
+      --accessible <lv>  Repair text contrast to AA or AAA
+      --background <hex> Background the repair targets
+      --semantic         Add success, warning, danger and info colors
+      --scales           Add a 50-950 tint/shade scale to each color
+  -f, --format <format>  Export format (see "node-swatch formats")
+  -o, --out <file>       Write the export to a file instead of stdout
+      --keys <keys>      Key exported variables by role or name (default: role)
+  -n, --name <name>      Palette name for formats that carry one
+
+Other options:
+  -h, --help             Show this help
+  -v, --version          Show the version
+
+Without --format, a terminal gets color swatches and anything else gets the
+palette as JSON. Swatches always show the seed, so any palette can be
+reproduced with --seed.`;
+
+/**
+ * Error for bad command-line input; reported with the usage hint and exit code 2
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse a color option the way the API parses baseColor
+ * @param {string} value
+ * @returns {string|null} Hex, or null if unrecognized
+ */
+function parseColorOption(value) {
+  const input = /^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? `#${value}` : value;
+  const color = parseColor(input);
+  return color ? rgbToHex(color.r, color.g, color.b) : null;
+}
+
+/**
+ * Parse repeated --lock index:color options
+ * @param {string[]} values
+ * @param {number} count - Number of colors; locks must fall within them
+ * @returns {Object<number, string>}
+ */
+function parseLocks(values = [], count) {
+  const locked = {};
+  // Commas inside parentheses belong to the color, e.g. 0:rgb(52, 152, 219)
+  values.flatMap(value => value.split(/,(?![^(]*\))/)).forEach(pair => {
+    const match = /^([0-5]):(.+)$/.exec(pair.trim());
+    const hex = match && parseColorOption(match[2]);
+    if (!hex) {
+      throw new UsageError(`--lock must be index:color with an index of 0-5, e.g. 0:3498db (got "${pair}")`);
+    }
+    if (Number(match[1]) >= count) {
+      throw new UsageError(`--lock index ${match[1]} is past the last color (--count is ${count})`);
+    }
+    locked[Number(match[1])] = hex;
+  });
+  return locked;
+}
+
+/**
+ * Parse --param name=value pairs against a harmony's parameters
+ * @param {string} harmony
+ * @param {string[]} [pairs]
+ * @returns {Object<string, string>}
+ */
+function parseParams(harmony, pairs = []) {
+  const { params: schema } = getHarmony(harmony);
+  const params = {};
+
+  for (const pair of pairs) {
+    const match = /^([^=]+)=(.*)$/.exec(pair);
+    if (!match) {
+      throw new UsageError(`--param must be name=value, got "${pair}"`);
+    }
+    const [, name, value] = match;
+    if (!schema[name]) {
+      const names = Object.keys(schema);
+      throw new UsageError(`Harmony "${harmony}" has no parameter "${name}"` +
+        (names.length ? `. Parameters: ${names.join(', ')}` : ''));
+    }
+    params[name] = value;
+  }
+
+  return params;
+}
+
+/**
+ * Turn generate options into generatePalette options, validating each one
+ * @param {string} harmony
+ * @param {Object} values - Parsed option values
+ * @returns {Object}
+ */
+function paletteOptions(harmony, values) {
+  if (!HARMONY_TYPES.includes(harmony)) {
+    throw new UsageError(`Unknown harmony "${harmony}". Valid harmonies: ${HARMONY_TYPES.join(', ')}`);
+  }
+
+  const count = values.count !== undefined ? Number(values.count) : 5;
+  if (!Number.isInteger(count) || count < 2 || count > 6) {
+    throw new UsageError('--count must be a whole number from 2 to 6');
+  }
+
+  const angle = values.angle !== undefined ? Number(values.angle) : undefined;
+  if (Number.isNaN(angle)) {
+    throw new UsageError('--angle must be a number');
+  }
+
+  const params = parseParams(harmony, values.param);
+
+  const space = (values.space || 'hsl').toLowerCase();
+  if (!COLOR_SPACES.includes(space)) {
+    throw new UsageError(`Unknown space "${values.space}". Valid spaces: ${COLOR_SPACES.join(', ')}`);
+  }
+
+  const accessible = values.accessible ? values.accessible.toUpperCase() : undefined;
+  if (accessible && !ACCESSIBILITY_LEVELS.includes(accessible)) {
+    throw new UsageError(`--accessible must be one of ${ACCESSIBILITY_LEVELS.join(', ')}`);
+  }
+
+  const baseColor = values.base !== undefined ? parseColorOption(values.base) : undefined;
+  if (baseColor === null) {
+    throw new UsageError(`--base is not a recognized CSS color: ${values.base}`);
+  }
+
+  const background = values.background !== undefined ? parseColorOption(values.background) : undefined;
+  if (background === null) {
+    throw new UsageError(`--background is not a recognized CSS color: ${values.background}`);
+  }
+
+  return {
+    harmony,
+    count,
+    baseColor,
+    angle,
+    params,
+    space,
+    seed: values.seed,
+    accessible,
+    background,
+    locked: parseLocks(values.lock, count),
+    semantic: values.semantic,
+    scales: values.scales
+  };
+}
+
+/**
+ * Colored block for a hex color, with optional text in its contrast color.
+ * Plain text when NO_COLOR is set (https://no-color.org).
+ */
+function ansiBlock(hex, text) {
+  if (process.env.NO_COLOR) return text;
+  const { r, g, b } = hexToRgb(hex);
+  const fg = hexToRgb(getContrastColor(hex));
+  return `\x1b[48;2;${r};${g};${b}m\x1b[38;2;${fg.r};${fg.g};${fg.b}m${text}\x1b[0m`;
+}
+
+/**
+ * Render a palette as truecolor swatch rows
+ * @param {Object} palette - Palette from generatePalette
+ * @returns {string}
+ */
+function renderSwatches(palette) {
+  const rows = palette.colors.map(color => {
+    const scale = color.scale && !process.env.NO_COLOR
+      ? ` ${Object.values(color.scale).map(hex => ansiBlock(hex, '  ')).join('')}`
+      : '';
+    const flags = [color.locked ? 'locked' : null, color.source !== undefined ? `= ${palette.colors[color.source].role}` : null]
+      .filter(Boolean)
+      .join(', ');
+    const label = `${color.role.padEnd(9)}${color.name}`;
+    const extras = `${scale}${flags ? `  (${flags})` : ''}`;
+    return `  ${ansiBlock(color.hex, `  ${color.hex}  `)}  ${extras ? label.padEnd(31) : label}${extras}`;
+  });
+
+  return [
+    '',
+    ...rows,
+    '',
+    `  ${palette.harmony} · ${palette.space} · seed ${palette.seed}`,
+    ''
+  ].join('\n');
+}
+
+function generate(harmony, values) {
+  const format = values.format ? values.format.toLowerCase() : null;
+  if (format && !EXPORT_FORMATS[format]) {
+    throw new UsageError(`Unknown format "${values.format}". Valid formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (format && EXPORT_FORMATS[format].binary && !values.out) {
+    throw new UsageError(`${format} is a binary format; write it to a file with --out`);
+  }
+  const keys = (values.keys || 'role').toLowerCase();
+  if (!EXPORT_KEYS.includes(keys)) {
+    throw new UsageError(`--keys must be one of ${EXPORT_KEYS.join(', ')}`);
+  }
+
+  const palette = generatePalette(paletteOptions(harmony.toLowerCase(), values));
+  const tty = process.stdout.isTTY;
+
+  if (!format) {
+    const output = tty ? renderSwatches(palette) : `${JSON.stringify(palette, null, 2)}\n`;
+    if (values.out) {
+      writeFileSync(values.out, JSON.stringify(palette, null, 2) + '\n');
+      if (tty) process.stdout.write(`${output}  Wrote ${values.out}\n`);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  const { content } = exportPalette({ ...palette, name: values.name }, format, { keys });
+
+  if (values.out) {
+    writeFileSync(values.out, content);
+    if (tty) process.stdout.write(`${renderSwatches(palette)}  Wrote ${values.out}\n`);
+    return;
+  }
+
+  if (tty) process.stdout.write(renderSwatches(palette) + '\n');
+  process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      base: { type: 'string', short: 'b' },
+      count: { type: 'string', short: 'c' },
+      angle: { type: 'string', short: 'a' },
+      param: { type: 'string', short: 'p', multiple: true },
+      space: { type: 'string' },
+      seed: { type: 'string', short: 's' },
+      lock: { type: 'string', short: 'l', multiple: true },
+      accessible: { type: 'string' },
+      background: { type: 'string' },
+      semantic: { type: 'boolean', default: false },
+      scales: { type: 'boolean', default: false },
+      format: { type: 'string', short: 'f' },
+      out: { type: 'string', short: 'o' },
+      name: { type: 'string', short: 'n' },
+      keys: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' }
+    }
+  });
+
+  const [command, ...rest] = positionals;
+
+  if (values.version) {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    process.stdout.write(`${pkg.version}\n`);
+    return;
+  }
+
+  if (values.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  switch (command) {
+    case 'generate':
+      if (rest.length > 1) {
+        throw new UsageError(`Unexpected argument "${rest[1]}"`);
+      }
+      generate(rest[0] || 'random', values);
+      break;
+    case 'harmonies':
+      process.stdout.write(`${HARMONY_TYPES.join('\n')}\n`);
+      break;
+    case 'formats':
+      process.stdout.write(`${Object.keys(EXPORT_FORMATS).join('\n')}\n`);
+      break;
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+// Harmonies added from the harmonies directory are available here too
+const { errors } = await loadHarmonyModules();
+for (const { file, error } of errors) {
+  process.stderr.write(`node-swatch: skipped harmony module ${file}: ${error}\n`);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+  const usage = err instanceof UsageError || (err.code || '').startsWith('ERR_PARSE_ARGS');
+  process.stderr.write(`node-swatch: ${err.message}\n`);
+  if (usage) process.stderr.write('Run "node-swatch --help" for usage.\n');
+  process.exitCode = usage ? 2 : 1;
+}
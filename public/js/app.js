@@ -4,12 +4,47 @@
 
 // State
 let currentPalette = null;
+let lockedColors = {}; // index -> hex kept fixed when regenerating
+let activeTagFilter = null;
+
+// Palette history for undo/redo, persisted in localStorage
+const HISTORY_STORAGE_KEY = 'node-swatch-history';
+const HISTORY_LIMIT = 30;
+let paletteHistory = { entries: [], index: -1 };
+
+// Light/dark theme derived from the palette
+const THEME_STORAGE_KEY = 'node-swatch-theme';
+let currentTheme = null;
+
+// Whether exports key variables by color name instead of role
+const EXPORT_KEYS_STORAGE_KEY = 'node-swatch-export-keys';
+
+// Gradient builder: indices of the harmony colors the gradient runs through
+let gradientColorIndices = [0, 1];
+let currentGradient = null;
+const POLAR_GRADIENT_SPACES = ['hsl', 'oklch'];
+
+// Data visualization palette built from the current base color
+let currentDataviz = null;
+const DATAVIZ_COUNT_RANGES = {
+  categorical: { min: 2, max: 12, default: 8 },
+  sequential: { min: 3, max: 12, default: 9 },
+  diverging: { min: 3, max: 12, default: 9 }
+};
+
+// Semantic status roles the API appends after the harmony colors
+const STATUS_ROLES = ['success', 'warning', 'danger', 'info'];
+
+// Harmony types with their labels, descriptions and parameter schemas, from /api/harmonies
+let harmonyCatalog = { harmonies: ['random'], labels: {}, descriptions: {}, params: {} };
+// Parameter values per harmony, kept while switching between harmonies
+const harmonyParamValues = {};
 
 // DOM Elements
 const colorCountSelect = document.getElementById('colorCount');
 const harmonyTypeSelect = document.getElementById('harmonyType');
-const customAngleGroup = document.getElementById('customAngleGroup');
-const customAngleInput = document.getElementById('customAngle');
+const harmonyParamsContainer = document.getElementById('harmonyParams');
+const colorSpaceSelect = document.getElementById('colorSpace');
 const baseColorPicker = document.getElementById('baseColorPicker');
 const baseColorInput = document.getElementById('baseColor');
 const useBaseColorCheckbox = document.getElementById('useBaseColor');
@@ -17,50 +52,135 @@ const clearBaseColorBtn = document.getElementById('clearBaseColor');
 const generateBtn = document.getElementById('generateBtn');
 const randomizeBtn = document.getElementById('randomizeBtn');
 const swatchContainer = document.getElementById('swatchContainer');
+const statusSwatches = document.getElementById('statusSwatches');
+const bootstrapThemeStyle = document.getElementById('bootstrapTheme');
 const harmonyBadge = document.getElementById('harmony-badge');
 const harmonyDescription = document.getElementById('harmonyDescription');
 const copyToast = document.getElementById('copyToast');
 const copyToastBody = document.getElementById('copyToastBody');
-
-// Harmony descriptions
-const harmonyDescriptions = {
-  'random': 'Completely random colors with no specific relationship.',
-  'complementary': 'Colors opposite each other on the color wheel (180° apart). Creates high contrast and vibrant combinations.',
-  'analogous': 'Colors adjacent to each other on the wheel (±30°). Creates harmonious, serene combinations.',
-  'triadic': 'Three colors equally spaced on the wheel (120° apart). Offers vibrant variety while maintaining balance.',
-  'split-complementary': 'Base color plus two colors adjacent to its complement. Less tension than complementary.',
-  'tetradic': 'Four colors in a rectangular pattern. Rich color scheme with plenty of possibilities.',
-  'monochromatic': 'Single hue with varying saturation and lightness. Clean, elegant, and cohesive.',
-  'square': 'Four colors evenly spaced (90° apart). Bold and dynamic with equal visual weight.',
-  'double-complementary': 'Two complementary pairs (30° apart). Complex but rich color scheme.',
-  'custom': 'User-defined angle offset between colors. Full control over the color relationships.'
-};
+const copyLinkBtn = document.getElementById('copyLinkBtn');
+const contrastLevelSelect = document.getElementById('contrastLevel');
+const accessibleLevelSelect = document.getElementById('accessibleLevel');
+const visionTypeSelect = document.getElementById('visionType');
+const visionWarning = document.getElementById('visionWarning');
+const swatchFileInput = document.getElementById('swatchFile');
+const swatchFileModeSelect = document.getElementById('swatchFileMode');
+const imageFileInput = document.getElementById('imageFile');
+const imageFileModeSelect = document.getElementById('imageFileMode');
+const swatchCard = document.getElementById('swatchCard');
+const savePaletteForm = document.getElementById('savePaletteForm');
+const savePaletteNameInput = document.getElementById('savePaletteName');
+const savePaletteTagsInput = document.getElementById('savePaletteTags');
+const paletteSearchInput = document.getElementById('paletteSearch');
+const paletteHarmonyFilterSelect = document.getElementById('paletteHarmonyFilter');
+const paletteTagFilter = document.getElementById('paletteTagFilter');
+const savedPaletteList = document.getElementById('savedPaletteList');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const historyTimeline = document.getElementById('historyTimeline');
+const themeSchemeInputs = document.querySelectorAll('input[name="themeScheme"]');
+const exportNameKeysCheckbox = document.getElementById('exportNameKeys');
+const gradientTypeSelect = document.getElementById('gradientType');
+const gradientSpaceSelect = document.getElementById('gradientSpace');
+const gradientHueSelect = document.getElementById('gradientHue');
+const gradientStepsInput = document.getElementById('gradientSteps');
+const gradientAngleInput = document.getElementById('gradientAngle');
+const gradientColorsContainer = document.getElementById('gradientColors');
+const gradientPreview = document.getElementById('gradientPreview');
+const gradientStops = document.getElementById('gradientStops');
+const datavizKindSelect = document.getElementById('datavizKind');
+const datavizCountInput = document.getElementById('datavizCount');
+const importFormatSelect = document.getElementById('importFormat');
+const importFileInput = document.getElementById('importFile');
+const importContentInput = document.getElementById('importContent');
+const importResult = document.getElementById('importResult');
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   setupEventListeners();
-  generatePalette(); // Generate initial palette
+  loadHistory();
+  restoreThemeScheme();
+  await loadHarmonies();
+  const seed = restoreFromUrl();
+  generatePalette(seed); // Generate initial palette (or restore a shared one)
+  populateHarmonyFilter();
+  loadSavedPalettes();
 });
 
 function setupEventListeners() {
   // Generate button
-  generateBtn.addEventListener('click', generatePalette);
+  generateBtn.addEventListener('click', () => generatePalette());
+
+  // Copy shareable link
+  copyLinkBtn.addEventListener('click', copyPermalink);
+
+  // Adobe swatch file upload
+  swatchFileInput.addEventListener('change', () => {
+    if (swatchFileInput.files.length > 0) loadSwatchFile(swatchFileInput.files[0]);
+  });
+
+  // Image upload, by file input or by dropping onto the swatches
+  imageFileInput.addEventListener('change', () => {
+    if (imageFileInput.files.length > 0) loadImageFile(imageFileInput.files[0]);
+  });
+
+  swatchCard.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    swatchCard.classList.add('drop-target');
+  });
+
+  swatchCard.addEventListener('dragleave', (event) => {
+    if (!swatchCard.contains(event.relatedTarget)) swatchCard.classList.remove('drop-target');
+  });
+
+  swatchCard.addEventListener('drop', (event) => {
+    event.preventDefault();
+    swatchCard.classList.remove('drop-target');
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+    if (/\.(ase|aco)$/i.test(file.name)) {
+      loadSwatchFile(file);
+    } else {
+      loadImageFile(file);
+    }
+  });
+
+  // Color vision deficiency simulation
+  visionTypeSelect.addEventListener('change', () => {
+    if (currentPalette) applyVisionSimulation(currentPalette);
+  });
+
+  // Contrast level used to flag preview components
+  contrastLevelSelect.addEventListener('change', () => {
+    if (currentPalette) markContrastFailures(currentPalette.contrast);
+  });
 
   // Randomize button (ignores base color)
   randomizeBtn.addEventListener('click', () => {
     useBaseColorCheckbox.checked = false;
+    lockedColors = {};
     harmonyTypeSelect.value = 'random';
-    customAngleGroup.style.display = 'none';
+    renderHarmonyParams();
     generatePalette();
   });
 
   // Harmony type change
   harmonyTypeSelect.addEventListener('change', () => {
-    customAngleGroup.style.display =
-      harmonyTypeSelect.value === 'custom' ? 'block' : 'none';
+    renderHarmonyParams();
     updateHarmonyDescription();
   });
 
+  // Harmony parameter controls are rendered per harmony, so listen on their container
+  harmonyParamsContainer.addEventListener('change', (event) => {
+    const name = event.target.dataset.param;
+    if (!name) return;
+    const harmony = harmonyTypeSelect.value;
+    harmonyParamValues[harmony] = {
+      ...harmonyParamValues[harmony],
+      [name]: event.target.type === 'number' ? Number(event.target.value) : event.target.value
+    };
+  });
+
   // Color picker sync
   baseColorPicker.addEventListener('input', () => {
     baseColorInput.value = baseColorPicker.value;
@@ -68,6 +188,7 @@ function setupEventListeners() {
   });
 
   baseColorInput.addEventListener('input', () => {
+    baseColorInput.classList.remove('is-invalid');
     if (/^#[0-9A-Fa-f]{6}$/.test(baseColorInput.value)) {
       baseColorPicker.value = baseColorInput.value;
     }
@@ -79,27 +200,206 @@ function setupEventListeners() {
     useBaseColorCheckbox.checked = false;
   });
 
-  // Keyboard shortcut
+  // Saved palette library
+  savePaletteForm.addEventListener('submit', saveCurrentPalette);
+
+  let searchTimer = null;
+  paletteSearchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadSavedPalettes, 200);
+  });
+
+  paletteHarmonyFilterSelect.addEventListener('change', loadSavedPalettes);
+
+  // Light/dark theme
+  themeSchemeInputs.forEach(input => {
+    input.addEventListener('change', () => {
+      localStorage.setItem(THEME_STORAGE_KEY, selectedThemeScheme());
+      applyTheme();
+    });
+  });
+
+  // Gradient builder
+  gradientSpaceSelect.addEventListener('change', loadGradient);
+  gradientHueSelect.addEventListener('change', loadGradient);
+  gradientStepsInput.addEventListener('change', loadGradient);
+  gradientAngleInput.addEventListener('change', loadGradient);
+  gradientTypeSelect.addEventListener('change', renderGradient);
+
+  // Data visualization palettes
+  datavizKindSelect.addEventListener('change', () => {
+    const range = DATAVIZ_COUNT_RANGES[datavizKindSelect.value];
+    datavizCountInput.min = range.min;
+    datavizCountInput.value = range.default;
+    loadDataviz();
+  });
+  datavizCountInput.addEventListener('change', loadDataviz);
+
+  // Export/import modal: show the footer buttons of the open tab
+  document.querySelectorAll('#exportModal [data-bs-toggle="tab"]').forEach(tab => {
+    tab.addEventListener('shown.bs.tab', () => {
+      const importing = tab.id === 'importTab';
+      document.querySelectorAll('#exportModal .export-action').forEach(button => button.classList.toggle('d-none', importing));
+      document.querySelectorAll('#exportModal .import-action').forEach(button => button.classList.toggle('d-none', !importing));
+    });
+  });
+  importFileInput.addEventListener('change', () => {
+    if (importFileInput.files.length > 0) readImportFile(importFileInput.files[0]);
+  });
+
+  // Export variable keys
+  exportNameKeysCheckbox.checked = localStorage.getItem(EXPORT_KEYS_STORAGE_KEY) === 'name';
+  exportNameKeysCheckbox.addEventListener('change', () => {
+    localStorage.setItem(EXPORT_KEYS_STORAGE_KEY, exportNameKeysCheckbox.checked ? 'name' : 'role');
+  });
+
+  // Undo/redo
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+
+  // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
-    if (e.code === 'Space' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT') {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
+
+    const modifier = e.ctrlKey || e.metaKey;
+    if (e.code === 'Space') {
       e.preventDefault();
       generatePalette();
+    } else if (modifier && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    } else if (modifier && e.key.toLowerCase() === 'y') {
+      e.preventDefault();
+      redo();
+    } else if (e.key === 'ArrowLeft' && !modifier) {
+      undo();
+    } else if (e.key === 'ArrowRight' && !modifier) {
+      redo();
+    }
+  });
+}
+
+/**
+ * Apply palette parameters from the page URL to the controls
+ * @returns {string|undefined} Seed to regenerate with, if present
+ */
+function restoreFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.has('count')) colorCountSelect.value = params.get('count');
+  if (params.has('harmony')) harmonyTypeSelect.value = params.get('harmony');
+  setHarmonyParams(harmonyTypeSelect.value, Object.fromEntries(params));
+  if (params.has('space')) colorSpaceSelect.value = params.get('space');
+  if (params.has('accessible')) accessibleLevelSelect.value = params.get('accessible');
+  if (params.has('locked')) {
+    lockedColors = parseLockedParam(params.get('locked'));
+  }
+  if (params.has('baseColor')) {
+    const value = params.get('baseColor');
+    baseColorInput.value = /^[0-9a-f]{6}$/i.test(value) ? `#${value}` : value;
+    useBaseColorCheckbox.checked = true;
+  }
+
+  renderHarmonyParams();
+
+  return params.get('seed') || undefined;
+}
+
+/**
+ * Build a query string that reproduces a palette exactly
+ * @param {Object} palette - Palette returned by the API
+ * @returns {string}
+ */
+function buildPermalinkQuery(palette) {
+  const params = new URLSearchParams();
+  params.set('harmony', palette.harmony);
+  params.set('count', palette.count);
+  if (useBaseColorCheckbox.checked && baseColorInput.value) {
+    params.set('baseColor', baseColorInput.value.trim().replace(/^#/, ''));
+  }
+  Object.entries(palette.params || {}).forEach(([name, value]) => params.set(name, value));
+  if (palette.space !== 'hsl') params.set('space', palette.space);
+  const locked = formatLockedParam(palette.count);
+  if (locked) params.set('locked', locked);
+  if (palette.accessible) params.set('accessible', palette.accessible.level);
+  if (palette.seed) params.set('seed', palette.seed);
+  return params.toString();
+}
+
+/**
+ * Format locked colors below a color count as index:hex pairs for the API
+ * @param {number|string} count - Palette size; locks beyond it are left out
+ * @returns {string} e.g. "0:3498db,2:e74c3c" (empty when nothing is locked)
+ */
+function formatLockedParam(count) {
+  return Object.entries(lockedColors)
+    .filter(([index]) => Number(index) < Number(count))
+    .map(([index, hex]) => `${index}:${hex.replace('#', '')}`)
+    .join(',');
+}
+
+function parseLockedParam(value) {
+  const locked = {};
+  value.split(',').forEach(pair => {
+    const [index, hex] = pair.split(':');
+    if (/^[0-5]$/.test(index) && /^[0-9a-f]{6}$/i.test(hex || '')) {
+      locked[index] = `#${hex.toLowerCase()}`;
     }
   });
+  return locked;
+}
+
+/**
+ * Lock or unlock a swatch so regenerating keeps its color
+ * @param {number} index - Swatch index
+ */
+function toggleLock(index) {
+  if (!currentPalette) return;
+
+  if (lockedColors[index]) {
+    delete lockedColors[index];
+  } else {
+    lockedColors[index] = currentPalette.colors[index].hex;
+  }
+
+  applyVisionSimulation(currentPalette);
+  history.replaceState(null, '', `?${buildPermalinkQuery(currentPalette)}`);
+}
+
+function copyPermalink() {
+  if (!currentPalette) return;
+
+  navigator.clipboard.writeText(window.location.href).then(() => {
+    copyToastBody.textContent = 'Palette link copied to clipboard!';
+    const toast = new bootstrap.Toast(copyToast);
+    toast.show();
+  }).catch(err => {
+    console.error('Failed to copy:', err);
+  });
 }
 
-async function generatePalette() {
+async function generatePalette(seed) {
   const count = colorCountSelect.value;
   const harmony = harmonyTypeSelect.value;
-  const angle = customAngleInput.value;
+  const space = colorSpaceSelect.value;
+  const accessible = accessibleLevelSelect.value;
   const useBase = useBaseColorCheckbox.checked;
   const baseColor = useBase && baseColorInput.value ?
-    baseColorInput.value.replace('#', '') : '';
+    baseColorInput.value.trim().replace(/^#/, '') : '';
 
   // Build URL
-  let url = `/api/palette/${harmony}?count=${count}`;
-  if (baseColor) url += `&baseColor=${baseColor}`;
-  if (harmony === 'custom') url += `&angle=${angle}`;
+  let url = `/api/palette/${harmony}?count=${count}&contrast=true&scales=true&semantic=true`;
+  if (baseColor) url += `&baseColor=${encodeURIComponent(baseColor)}`;
+  url += harmonyParamQuery();
+  if (space !== 'hsl') url += `&space=${space}`;
+  if (accessible) url += `&accessible=${accessible}`;
+  const locked = formatLockedParam(count);
+  if (locked) url += `&locked=${locked}`;
+  if (seed) url += `&seed=${encodeURIComponent(seed)}`;
 
   // Set loading state
   generateBtn.classList.add('loading');
@@ -110,11 +410,15 @@ async function generatePalette() {
 
     if (palette.error) {
       console.error('API Error:', palette.error);
+      baseColorInput.classList.toggle('is-invalid', palette.error.startsWith('baseColor'));
       return;
     }
 
-    currentPalette = palette;
-    updateUI(palette);
+    baseColorInput.classList.remove('is-invalid');
+    if (baseColor) baseColorPicker.value = palette.baseColor;
+
+    showPalette(palette);
+    history.replaceState(null, '', `?${buildPermalinkQuery(palette)}`);
   } catch (error) {
     console.error('Failed to generate palette:', error);
   } finally {
@@ -122,12 +426,117 @@ async function generatePalette() {
   }
 }
 
+/**
+ * Build a palette from an uploaded .ase/.aco file, either as a base color or as-is
+ * @param {File} file
+ */
+async function loadSwatchFile(file) {
+  const mode = swatchFileModeSelect.value;
+  const harmony = harmonyTypeSelect.value;
+  let url = `/api/palette/from-swatches?mode=${mode}&harmony=${harmony}` +
+    `&count=${colorCountSelect.value}&contrast=true&scales=true`;
+  url += harmonyParamQuery();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    });
+    const palette = await response.json();
+
+    if (palette.error) {
+      console.error('API Error:', palette.error);
+      return;
+    }
+
+    // Locks refer to the previous palette's colors
+    lockedColors = {};
+
+    if (mode === 'base') {
+      baseColorInput.value = palette.baseColor;
+      baseColorPicker.value = palette.baseColor;
+      useBaseColorCheckbox.checked = true;
+      generatePalette(palette.seed);
+      return;
+    }
+
+    showPalette(palette);
+  } catch (error) {
+    console.error('Failed to load swatch file:', error);
+  } finally {
+    swatchFileInput.value = '';
+  }
+}
+
+/**
+ * Extract a palette from an uploaded image, either as-is or with its dominant color as base
+ * @param {File} file
+ */
+async function loadImageFile(file) {
+  const mode = imageFileModeSelect.value;
+  const harmony = harmonyTypeSelect.value;
+  let url = `/api/palette/from-image?mode=${mode}&harmony=${harmony}` +
+    `&count=${colorCountSelect.value}&contrast=true&scales=true`;
+  url += harmonyParamQuery();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    });
+    const palette = await response.json();
+
+    if (palette.error) {
+      console.error('API Error:', palette.error);
+      return;
+    }
+
+    // Locks refer to the previous palette's colors
+    lockedColors = {};
+
+    if (mode === 'base') {
+      baseColorInput.value = palette.baseColor;
+      baseColorPicker.value = palette.baseColor;
+      useBaseColorCheckbox.checked = true;
+      generatePalette(palette.seed);
+      return;
+    }
+
+    showPalette(palette);
+  } catch (error) {
+    console.error('Failed to load image:', error);
+  } finally {
+    imageFileInput.value = '';
+  }
+}
+
+/**
+ * Show a new palette and record it in the history
+ * @param {Object} palette - Palette returned by the API
+ */
+function showPalette(palette) {
+  currentPalette = palette;
+  updateUI(palette);
+  recordHistory(palette);
+}
+
 function updateUI(palette) {
-  // Update CSS variables
-  updateCSSVariables(palette.colors);
+  // Update CSS variables and swatches (simulated if a vision type is selected)
+  applyVisionSimulation(palette);
 
-  // Update swatches
-  renderSwatches(palette.colors);
+  // Flag components that fail the selected WCAG level
+  markContrastFailures(palette.contrast);
+
+  // Derive the light/dark page theme
+  loadTheme(palette);
+
+  // Rebuild the gradient from the new colors
+  loadGradient();
+
+  // Rebuild the chart palette from the new base color
+  loadDataviz();
 
   // Update harmony badge
   harmonyBadge.textContent = palette.harmony;
@@ -136,40 +545,193 @@ function updateUI(palette) {
   updateHarmonyDescription();
 }
 
-function updateCSSVariables(colors) {
+/**
+ * Re-render swatches and palette variables as seen with the selected deficiency
+ * @param {Object} palette - Palette returned by the API
+ */
+async function applyVisionSimulation(palette) {
+  const type = visionTypeSelect.value;
+  visionWarning.classList.add('d-none');
+
+  if (!type) {
+    updateCSSVariables(palette.colors, palette.contrast);
+    loadBootstrapTheme(palette.colors);
+    renderSwatches(palette.colors, palette.contrast, palette.accessible);
+    return;
+  }
+
+  const hexes = palette.colors.map(c => c.hex.replace('#', '')).join(',');
+
+  try {
+    const response = await fetch(`/api/simulate?colors=${hexes}&type=${type}`);
+    const result = await response.json();
+
+    if (result.error) {
+      console.error('API Error:', result.error);
+      return;
+    }
+
+    const simulation = result.simulations[0];
+    const simulatedColors = palette.colors.map((color, i) => ({
+      ...color,
+      hex: simulation.colors[i].hex,
+      hsl: simulation.colors[i].hsl,
+      oklch: null,
+      scale: null
+    }));
+
+    updateCSSVariables(simulatedColors, palette.contrast);
+    loadBootstrapTheme(simulatedColors);
+    renderSwatches(simulatedColors, palette.contrast, palette.accessible);
+
+    // A status color that reuses a palette color isn't a conflict with it
+    const conflicts = simulation.conflicts.filter(({ indices: [a, b] }) =>
+      palette.colors[a].source !== b && palette.colors[b].source !== a);
+
+    if (conflicts.length > 0) {
+      const pairs = conflicts.map(({ indices }) =>
+        `${palette.colors[indices[0]].role} / ${palette.colors[indices[1]].role}`
+      );
+      visionWarning.innerHTML = `<i class="bi bi-exclamation-triangle"></i>
+        Hard to tell apart with ${type}: ${pairs.join(', ')}`;
+      visionWarning.classList.remove('d-none');
+    }
+  } catch (error) {
+    console.error('Failed to simulate palette:', error);
+  }
+}
+
+/**
+ * Whether a palette color is a success/warning/danger/info status color
+ * @param {Object} color - Palette color
+ * @returns {boolean}
+ */
+function isStatusColor(color) {
+  return STATUS_ROLES.includes(color.role);
+}
+
+function updateCSSVariables(colors, contrast) {
   const root = document.documentElement;
+  const harmonyColors = colors.filter(color => !isStatusColor(color));
 
-  colors.forEach((color, index) => {
+  harmonyColors.forEach((color, index) => {
     const num = index + 1;
     root.style.setProperty(`--palette-${num}`, color.hex);
-    root.style.setProperty(`--palette-${num}-contrast`, getContrastColor(color.hex));
+    root.style.setProperty(`--palette-${num}-contrast`, contrast.text[index].textColor);
   });
 
   // Clear unused variables (for when count decreases)
-  for (let i = colors.length + 1; i <= 6; i++) {
+  for (let i = harmonyColors.length + 1; i <= 6; i++) {
     root.style.setProperty(`--palette-${i}`, '#cccccc');
     root.style.setProperty(`--palette-${i}-contrast`, '#000000');
   }
 }
 
-function renderSwatches(colors) {
-  const colClass = getColumnClass(colors.length);
+/**
+ * Apply the Bootstrap theme stylesheet generated for these colors, so the
+ * preview components render exactly what the bootstrap export ships
+ * @param {Array<Object>} colors - Palette colors (simulated when a vision type is selected)
+ */
+async function loadBootstrapTheme(colors) {
+  try {
+    const response = await fetch('/api/theme/bootstrap', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ colors: colors.map(({ hex, role }) => ({ hex, role })) })
+    });
 
-  swatchContainer.innerHTML = colors.map((color, index) => `
+    if (!response.ok) {
+      console.error('API Error:', (await response.json()).error);
+      return;
+    }
+
+    bootstrapThemeStyle.textContent = await response.text();
+    // Alerts are measured as rendered, so check them again under the new theme
+    if (currentPalette) markContrastFailures(currentPalette.contrast);
+  } catch (error) {
+    console.error('Failed to load Bootstrap theme:', error);
+  }
+}
+
+function renderSwatches(colors, contrast, accessible) {
+  // Status colors follow the harmony colors, so indices line up with the contrast report
+  const harmonyColors = colors.filter(color => !isStatusColor(color));
+  const colClass = getColumnClass(harmonyColors.length);
+  const adjustments = accessible ? accessible.adjustments : [];
+
+  renderStatusSwatches(colors, contrast);
+
+  swatchContainer.innerHTML = harmonyColors.map((color, index) => `
     <div class="${colClass}">
       <div class="swatch"
-           style="background-color: ${color.hex}; color: ${getContrastColor(color.hex)};"
+           style="background-color: ${color.hex}; color: ${contrast.text[index].textColor};"
            onclick="copyColor('${color.hex}')"
            title="Click to copy">
         <i class="bi bi-clipboard swatch-copy-icon"></i>
+        ${adjustments[index] && adjustments[index].changed ? `
+        <i class="bi bi-universal-access swatch-adjusted-icon"
+           title="Adjusted for ${accessible.level} from ${adjustments[index].original.hex.toUpperCase()}"></i>` : ''}
+        <button type="button" class="swatch-lock ${lockedColors[index] ? 'is-locked' : ''}"
+                onclick="event.stopPropagation(); toggleLock(${index})"
+                title="${lockedColors[index] ? 'Unlock' : 'Lock'} this color">
+          <i class="bi ${lockedColors[index] ? 'bi-lock-fill' : 'bi-unlock'}"></i>
+        </button>
         <span class="swatch-hex">${color.hex.toUpperCase()}</span>
+        ${color.name ? `<span class="swatch-name">${escapeHtml(color.name)}</span>` : ''}
         <span class="swatch-role">${color.role}</span>
         <span class="swatch-hsl">H:${color.hsl.h}° S:${color.hsl.s}% L:${color.hsl.l}%</span>
+        <span class="swatch-hsl">${formatOklch(color.oklch)}</span>
+        ${color.population !== undefined ? `
+        <span class="swatch-hsl">${Math.round(color.population * 100)}% of image</span>` : ''}
+        ${renderScaleStrip(color)}
       </div>
     </div>
   `).join('');
 }
 
+/**
+ * Render the success/warning/danger/info row under the swatches
+ * @param {Array<Object>} colors - Palette colors
+ * @param {Object} contrast - Contrast report returned with the palette
+ */
+function renderStatusSwatches(colors, contrast) {
+  statusSwatches.innerHTML = colors.map((color, index) => {
+    if (!isStatusColor(color)) return '';
+    const source = color.source !== undefined ? colors[color.source].role : null;
+    return `
+    <div class="status-swatch"
+         style="background-color: ${color.hex}; color: ${contrast.text[index].textColor};"
+         onclick="copyColor('${color.hex}')"
+         title="${color.name ? `${escapeHtml(color.name)}: ` : ''}${source ? `Reuses ${source}` : `Tuned to the palette`} - click to copy">
+      <span class="swatch-role">${color.role}</span>
+      <span>${color.hex.toUpperCase()}${source ? ` <span class="status-source">= ${source}</span>` : ''}</span>
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Scale steps of a color as [step, hex] pairs (empty when no scale was generated)
+ * @param {Object} color - Palette color
+ * @returns {Array<[string, string]>}
+ */
+function scaleEntries(color) {
+  return color.scale ? Object.entries(color.scale) : [];
+}
+
+function renderScaleStrip(color) {
+  const steps = scaleEntries(color);
+  if (steps.length === 0) return '';
+  return `<div class="swatch-scale">${steps.map(([step, hex]) => `
+    <span style="background-color: ${hex};" title="${step}: ${hex}"
+          class="${Number(step) === color.scaleStep ? 'is-base' : ''}"></span>`).join('')}
+  </div>`;
+}
+
+function formatOklch(oklch) {
+  if (!oklch) return '';
+  return `oklch(${(oklch.l * 100).toFixed(1)}% ${oklch.c.toFixed(3)} ${oklch.h})`;
+}
+
 function getColumnClass(count) {
   switch (count) {
     case 2: return 'col-6';
@@ -181,12 +743,63 @@ function getColumnClass(count) {
   }
 }
 
-function getContrastColor(hex) {
-  const r = parseInt(hex.slice(1, 3), 16);
-  const g = parseInt(hex.slice(3, 5), 16);
-  const b = parseInt(hex.slice(5, 7), 16);
-  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-  return luminance > 0.5 ? '#000000' : '#ffffff';
+// Smallest WCAG contrast ratio for normal-size text at each level
+const WCAG_TEXT_RATIOS = { AA: 4.5, AAA: 7 };
+
+/**
+ * WCAG contrast ratio between two computed CSS colors ('rgb(r, g, b)')
+ */
+function contrastRatio(colorA, colorB) {
+  const luminance = (color) => {
+    const [r, g, b] = color.match(/[\d.]+/g).slice(0, 3).map(value => {
+      const c = Number(value) / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  const [lighter, darker] = [luminance(colorA), luminance(colorB)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Outline preview components whose text contrast fails the selected WCAG level
+ * @param {Object} contrast - Contrast report returned with the palette
+ */
+function markContrastFailures(contrast) {
+  const level = contrastLevelSelect.value;
+
+  document.querySelectorAll('[data-contrast]').forEach(el => {
+    // Subtle components (alerts) put the theme's text emphasis on its subtle
+    // background, which the palette report doesn't cover, so measure what renders
+    if (el.dataset.contrast === 'subtle') {
+      const style = getComputedStyle(el);
+      const ratio = contrastRatio(style.color, style.backgroundColor);
+      const fails = ratio < WCAG_TEXT_RATIOS[level];
+      el.classList.toggle('contrast-fail', fails);
+      if (fails) {
+        el.title = `Contrast ${ratio.toFixed(2)}:1 fails WCAG ${level}`;
+      } else {
+        el.removeAttribute('title');
+      }
+      return;
+    }
+
+    // Components point at a palette color by position or at a status color by role
+    const index = el.dataset.role ?
+      currentPalette.colors.findIndex(color => color.role === el.dataset.role) :
+      parseInt(el.dataset.palette) - 1;
+    const entry = contrast.text[index];
+    el.classList.remove('contrast-fail');
+    el.removeAttribute('title');
+    if (!entry) return;
+
+    // Outline components put the palette color on the page surface
+    const { wcag } = el.dataset.contrast === 'outline' ? entry.onWhite : entry;
+    if (!wcag[level].normal) {
+      el.classList.add('contrast-fail');
+      el.title = `Contrast ${wcag.ratio}:1 fails WCAG ${level}`;
+    }
+  });
 }
 
 function copyColor(hex) {
@@ -201,92 +814,801 @@ function copyColor(hex) {
 
 function updateHarmonyDescription() {
   const harmony = harmonyTypeSelect.value;
-  harmonyDescription.textContent = harmonyDescriptions[harmony] || '';
+  harmonyDescription.textContent = harmonyCatalog.descriptions[harmony] || '';
 }
 
-// Export functions
-function exportPalette(format) {
-  if (!currentPalette) return;
-
-  const exportCode = document.getElementById('exportCode');
-  let code = '';
+// Harmony types and parameters
 
-  switch (format) {
-    case 'css':
-      code = generateCSSExport();
-      break;
-    case 'scss':
-      code = generateSCSSExport();
-      break;
-    case 'json':
-      code = generateJSONExport();
-      break;
-    case 'tailwind':
-      code = generateTailwindExport();
-      break;
+/**
+ * Load harmony types from the API into the harmony select, random first
+ */
+async function loadHarmonies() {
+  try {
+    const response = await fetch('/api/harmonies');
+    harmonyCatalog = await response.json();
+  } catch (error) {
+    console.error('Failed to load harmonies:', error);
+    return;
   }
 
-  exportCode.textContent = code;
-  const modal = new bootstrap.Modal(document.getElementById('exportModal'));
-  modal.show();
+  const names = ['random', ...harmonyCatalog.harmonies.filter(name => name !== 'random')];
+  harmonyTypeSelect.innerHTML = names.map(name =>
+    `<option value="${escapeHtml(name)}">${escapeHtml(harmonyCatalog.labels[name] || name)}</option>`).join('');
+  harmonyTypeSelect.value = 'random';
+}
+
+/**
+ * Current parameter values of the selected harmony, defaults filled in
+ * @returns {Object<string, number|string>}
+ */
+function currentHarmonyParams() {
+  const harmony = harmonyTypeSelect.value;
+  const values = harmonyParamValues[harmony] || {};
+  return Object.fromEntries(Object.entries(harmonyCatalog.params[harmony] || {}).map(([name, param]) =>
+    [name, values[name] !== undefined ? values[name] : param.default]));
+}
+
+/**
+ * Remember parameter values for a harmony, ignoring names it doesn't declare
+ * @param {string} harmony
+ * @param {Object} values - e.g. URL params or a palette's params
+ */
+function setHarmonyParams(harmony, values) {
+  const schema = harmonyCatalog.params[harmony] || {};
+  harmonyParamValues[harmony] = {
+    ...harmonyParamValues[harmony],
+    ...Object.fromEntries(Object.entries(values)
+      .filter(([name, value]) => schema[name] && value !== undefined && value !== null)
+      .map(([name, value]) => [name, schema[name].type === 'number' ? Number(value) : value])
+      .filter(([, value]) => !Number.isNaN(value)))
+  };
 }
 
-function generateCSSExport() {
-  const lines = [':root {'];
-  currentPalette.colors.forEach((color, i) => {
-    lines.push(`  --color-${color.role}: ${color.hex};`);
+/**
+ * Query string fragment with the selected harmony's parameters
+ * @returns {string} e.g. "&angle=45", or '' for harmonies without parameters
+ */
+function harmonyParamQuery() {
+  const params = new URLSearchParams(currentHarmonyParams()).toString();
+  return params ? `&${params}` : '';
+}
+
+/**
+ * Render a control for each parameter of the selected harmony
+ */
+function renderHarmonyParams() {
+  const harmony = harmonyTypeSelect.value;
+  const values = currentHarmonyParams();
+
+  harmonyParamsContainer.innerHTML = Object.entries(harmonyCatalog.params[harmony] || {})
+    .map(([name, param]) => {
+      const id = `harmonyParam-${name}`;
+      const control = param.type === 'select'
+        ? `<select class="form-select" id="${id}" data-param="${name}">
+            ${param.options.map(option => `
+              <option value="${escapeHtml(option)}"${option === values[name] ? ' selected' : ''}>${escapeHtml(option)}</option>
+            `).join('')}
+          </select>`
+        : `<input type="number" class="form-control" id="${id}" data-param="${name}" value="${values[name]}"
+            ${['min', 'max', 'step'].filter(key => param[key] !== undefined).map(key => `${key}="${param[key]}"`).join(' ')}>`;
+
+      return `
+        <div class="mb-3">
+          <label for="${id}" class="form-label">${escapeHtml(param.label)}</label>
+          ${control}
+        </div>
+      `;
+    }).join('');
+}
+
+// Light/dark theme
+
+function selectedThemeScheme() {
+  const checked = [...themeSchemeInputs].find(input => input.checked);
+  return checked ? checked.value : 'light';
+}
+
+function restoreThemeScheme() {
+  const scheme = localStorage.getItem(THEME_STORAGE_KEY);
+  themeSchemeInputs.forEach(input => {
+    input.checked = input.value === (scheme || 'light');
   });
-  lines.push('}');
-  return lines.join('\n');
 }
 
-function generateSCSSExport() {
-  const lines = ['// Color Palette Variables'];
-  currentPalette.colors.forEach((color, i) => {
-    lines.push(`$color-${color.role}: ${color.hex};`);
+/**
+ * Fetch semantic light and dark tokens for a palette and apply the selected scheme
+ * @param {Object} palette - Palette returned by the API
+ */
+async function loadTheme(palette) {
+  try {
+    const response = await fetch('/api/theme', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ colors: palette.colors.map(({ hex, role }) => ({ hex, role })) })
+    });
+    const theme = await response.json();
+
+    if (theme.error) {
+      console.error('API Error:', theme.error);
+      return;
+    }
+
+    currentTheme = theme;
+    applyTheme();
+  } catch (error) {
+    console.error('Failed to load theme:', error);
+  }
+}
+
+/**
+ * Set --theme-* variables for the selected scheme on the page
+ */
+function applyTheme() {
+  if (!currentTheme) return;
+
+  const scheme = selectedThemeScheme();
+  const root = document.documentElement;
+  root.dataset.theme = scheme;
+  root.dataset.bsTheme = scheme;
+
+  Object.entries(currentTheme[scheme]).forEach(([token, hex]) => {
+    root.style.setProperty(`--theme-${token}`, hex);
   });
-  lines.push('');
-  lines.push('// Color Map');
-  lines.push('$palette: (');
-  currentPalette.colors.forEach((color, i) => {
-    const comma = i < currentPalette.colors.length - 1 ? ',' : '';
-    lines.push(`  "${color.role}": ${color.hex}${comma}`);
+}
+
+// Palette history
+
+function loadHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    if (stored && Array.isArray(stored.entries)) {
+      paletteHistory = stored;
+    }
+  } catch (error) {
+    console.error('Failed to read palette history:', error);
+  }
+  renderTimeline();
+}
+
+function saveHistory() {
+  // Drop the oldest entries if storage is full
+  while (paletteHistory.entries.length > 0) {
+    try {
+      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(paletteHistory));
+      return;
+    } catch (error) {
+      paletteHistory.entries.shift();
+      paletteHistory.index = Math.max(0, paletteHistory.index - 1);
+    }
+  }
+}
+
+/**
+ * Add a palette to the history, discarding any redo entries after the current one
+ * @param {Object} palette - Palette returned by the API
+ */
+function recordHistory(palette) {
+  const current = paletteHistory.entries[paletteHistory.index];
+  const hexes = palette.colors.map(c => c.hex).join();
+
+  // Regenerating the same palette (e.g. reloading a permalink) is not a new step
+  if (current && current.palette.colors.map(c => c.hex).join() === hexes) {
+    current.palette = palette;
+    saveHistory();
+    return;
+  }
+
+  paletteHistory.entries = paletteHistory.entries.slice(0, paletteHistory.index + 1);
+  paletteHistory.entries.push({
+    palette,
+    harmony: palette.harmony,
+    baseColor: useBaseColorCheckbox.checked && baseColorInput.value ? baseColorInput.value : null,
+    params: palette.params || {},
+    count: palette.count,
+    timestamp: new Date().toISOString()
   });
-  lines.push(');');
-  return lines.join('\n');
+
+  if (paletteHistory.entries.length > HISTORY_LIMIT) {
+    paletteHistory.entries.splice(0, paletteHistory.entries.length - HISTORY_LIMIT);
+  }
+  paletteHistory.index = paletteHistory.entries.length - 1;
+
+  saveHistory();
+  renderTimeline();
+}
+
+function undo() {
+  if (paletteHistory.index > 0) restoreHistoryEntry(paletteHistory.index - 1);
+}
+
+function redo() {
+  if (paletteHistory.index < paletteHistory.entries.length - 1) {
+    restoreHistoryEntry(paletteHistory.index + 1);
+  }
+}
+
+/**
+ * Show a history entry and restore the controls that produced it
+ * @param {number} index - Entry index
+ */
+function restoreHistoryEntry(index) {
+  const entry = paletteHistory.entries[index];
+  if (!entry) return;
+
+  paletteHistory.index = index;
+  saveHistory();
+
+  if ([...harmonyTypeSelect.options].some(option => option.value === entry.harmony)) {
+    harmonyTypeSelect.value = entry.harmony;
+  }
+  if ([...colorCountSelect.options].some(option => Number(option.value) === entry.count)) {
+    colorCountSelect.value = entry.count;
+  }
+  // Entries recorded before harmony parameters only kept the custom angle
+  setHarmonyParams(entry.harmony, entry.params || { angle: entry.angle });
+  renderHarmonyParams();
+
+  useBaseColorCheckbox.checked = Boolean(entry.baseColor);
+  if (entry.baseColor) {
+    baseColorInput.value = entry.baseColor;
+    baseColorPicker.value = entry.palette.baseColor;
+  }
+
+  lockedColors = {};
+  currentPalette = entry.palette;
+  updateUI(entry.palette);
+  if (entry.palette.seed) {
+    history.replaceState(null, '', `?${buildPermalinkQuery(entry.palette)}`);
+  }
+  renderTimeline();
+}
+
+function renderTimeline() {
+  const { entries, index } = paletteHistory;
+  undoBtn.disabled = index <= 0;
+  redoBtn.disabled = index >= entries.length - 1;
+
+  historyTimeline.innerHTML = entries.map((entry, i) => `
+    <button type="button" class="history-entry ${i === index ? 'is-current' : ''}"
+            onclick="restoreHistoryEntry(${i})"
+            title="${entry.harmony}${entry.baseColor ? ` from ${escapeHtml(entry.baseColor)}` : ''} · ${new Date(entry.timestamp).toLocaleTimeString()}">
+      ${entry.palette.colors.filter(c => !isStatusColor(c)).map(c => `<span style="background-color: ${c.hex};"></span>`).join('')}
+    </button>
+  `).join('');
+
+  const current = historyTimeline.querySelector('.is-current');
+  if (current) current.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+/**
+ * Escape text for insertion into HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+// Saved palette library
+
+function populateHarmonyFilter() {
+  const harmonies = [...harmonyTypeSelect.options].map(option => [option.value, option.textContent]);
+  harmonies.push(['image', 'From Image']);
+  paletteHarmonyFilterSelect.innerHTML += harmonies.map(([value, label]) =>
+    `<option value="${value}">${label}</option>`).join('');
+}
+
+async function loadSavedPalettes() {
+  const params = new URLSearchParams();
+  if (paletteSearchInput.value.trim()) params.set('q', paletteSearchInput.value.trim());
+  if (paletteHarmonyFilterSelect.value) params.set('harmony', paletteHarmonyFilterSelect.value);
+  if (activeTagFilter) params.set('tag', activeTagFilter);
+
+  try {
+    const response = await fetch(`/api/palettes?${params}`);
+    const result = await response.json();
+
+    if (result.error) {
+      console.error('API Error:', result.error);
+      return;
+    }
+
+    renderSavedPalettes(result.palettes);
+  } catch (error) {
+    console.error('Failed to load saved palettes:', error);
+  }
+}
+
+function renderSavedPalettes(palettes) {
+  paletteTagFilter.innerHTML = activeTagFilter ? `
+    Tag: <span class="badge bg-secondary saved-palette-tag" onclick="filterByTag(null)" title="Clear tag filter">
+      ${escapeHtml(activeTagFilter)} <i class="bi bi-x"></i>
+    </span>` : '';
+
+  if (palettes.length === 0) {
+    savedPaletteList.innerHTML = '<li class="list-group-item px-0 text-muted">No saved palettes</li>';
+    return;
+  }
+
+  savedPaletteList.innerHTML = palettes.map(palette => `
+    <li class="list-group-item px-0">
+      <div class="saved-palette-strip mb-1">
+        ${palette.colors.filter(c => !isStatusColor(c)).map(c => `<span style="background-color: ${c.hex};" title="${c.hex}"></span>`).join('')}
+      </div>
+      <div class="d-flex justify-content-between align-items-start">
+        <div>
+          <strong>${escapeHtml(palette.name)}</strong>
+          <div class="text-muted">${palette.harmony} &middot; ${new Date(palette.createdAt).toLocaleDateString()}</div>
+          ${palette.tags.map(tag => `
+            <span class="badge bg-light text-dark border saved-palette-tag"
+                  data-tag="${escapeHtml(tag)}" onclick="filterByTag(this.dataset.tag)">${escapeHtml(tag)}</span>`).join('')}
+        </div>
+        <div class="btn-group btn-group-sm">
+          <button class="btn btn-outline-secondary" onclick="loadSavedPalette('${palette.id}')" title="Load into preview">
+            <i class="bi bi-box-arrow-in-down"></i>
+          </button>
+          <button class="btn btn-outline-danger" onclick="deleteSavedPalette('${palette.id}')" title="Delete">
+            <i class="bi bi-trash"></i>
+          </button>
+        </div>
+      </div>
+    </li>
+  `).join('');
 }
 
-function generateJSONExport() {
-  return JSON.stringify({
+function filterByTag(tag) {
+  activeTagFilter = tag;
+  loadSavedPalettes();
+}
+
+async function saveCurrentPalette(event) {
+  event.preventDefault();
+  if (!currentPalette) return;
+
+  const body = {
+    name: savePaletteNameInput.value,
+    tags: savePaletteTagsInput.value,
     harmony: currentPalette.harmony,
-    colors: currentPalette.colors.map(c => ({
-      hex: c.hex,
-      hsl: c.hsl,
-      role: c.role
-    }))
-  }, null, 2);
+    baseColor: currentPalette.baseColor,
+    space: currentPalette.space,
+    seed: currentPalette.seed,
+    accessible: currentPalette.accessible ? currentPalette.accessible.level : undefined,
+    angle: currentPalette.params ? currentPalette.params.angle : undefined,
+    colors: currentPalette.colors.map(({ hex, role }) => ({ hex, role }))
+  };
+
+  try {
+    const response = await fetch('/api/palettes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const saved = await response.json();
+
+    if (saved.error) {
+      console.error('API Error:', saved.error);
+      return;
+    }
+
+    savePaletteForm.reset();
+    copyToastBody.textContent = `Saved "${saved.name}"`;
+    new bootstrap.Toast(copyToast).show();
+    loadSavedPalettes();
+  } catch (error) {
+    console.error('Failed to save palette:', error);
+  }
 }
 
-function generateTailwindExport() {
-  const lines = [
-    '// tailwind.config.js',
-    'module.exports = {',
-    '  theme: {',
-    '    extend: {',
-    '      colors: {'
-  ];
+/**
+ * Load a saved palette into the swatches and preview
+ * @param {string} id - Saved palette id
+ */
+async function loadSavedPalette(id) {
+  try {
+    const response = await fetch(`/api/palettes/${id}?contrast=true&scales=true`);
+    const palette = await response.json();
 
-  currentPalette.colors.forEach((color, i) => {
-    const name = color.role.replace('-', '');
-    const comma = i < currentPalette.colors.length - 1 ? ',' : '';
-    lines.push(`        '${name}': '${color.hex}'${comma}`);
+    if (palette.error) {
+      console.error('API Error:', palette.error);
+      return;
+    }
+
+    lockedColors = {};
+    if ([...harmonyTypeSelect.options].some(option => option.value === palette.harmony)) {
+      harmonyTypeSelect.value = palette.harmony;
+    }
+    if (palette.angle !== null) setHarmonyParams(palette.harmony, { angle: palette.angle });
+    renderHarmonyParams();
+
+    showPalette(palette);
+  } catch (error) {
+    console.error('Failed to load saved palette:', error);
+  }
+}
+
+async function deleteSavedPalette(id) {
+  if (!confirm('Delete this saved palette?')) return;
+
+  try {
+    const response = await fetch(`/api/palettes/${id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const result = await response.json();
+      console.error('API Error:', result.error);
+      return;
+    }
+    loadSavedPalettes();
+  } catch (error) {
+    console.error('Failed to delete palette:', error);
+  }
+}
+
+// Export functions
+let currentExport = null;
+
+/**
+ * Harmony colors of the current palette (status colors are left out of gradients)
+ * @returns {Array<Object>}
+ */
+function gradientPaletteColors() {
+  return currentPalette ? currentPalette.colors.filter(color => !isStatusColor(color)) : [];
+}
+
+function toggleGradientColor(index) {
+  if (gradientColorIndices.includes(index)) {
+    // A gradient needs at least two colors
+    if (gradientColorIndices.length <= 2) return;
+    gradientColorIndices = gradientColorIndices.filter(i => i !== index);
+  } else {
+    gradientColorIndices = [...gradientColorIndices, index].sort((a, b) => a - b);
+  }
+  loadGradient();
+}
+
+/**
+ * Fetch the gradient through the selected palette colors and render it
+ */
+async function loadGradient() {
+  const colors = gradientPaletteColors();
+  if (colors.length < 2) return;
+
+  // Keep the selection within the palette, falling back to the first two colors
+  gradientColorIndices = gradientColorIndices.filter(index => index < colors.length);
+  if (gradientColorIndices.length < 2) {
+    gradientColorIndices = [0, 1];
+  }
+
+  const space = gradientSpaceSelect.value;
+  gradientHueSelect.disabled = !POLAR_GRADIENT_SPACES.includes(space);
+
+  gradientColorsContainer.innerHTML = colors.map((color, index) => `
+    <button type="button" class="gradient-color ${gradientColorIndices.includes(index) ? 'is-selected' : ''}"
+            style="background-color: ${color.hex};"
+            onclick="toggleGradientColor(${index})"
+            title="${color.role}: ${color.hex}"></button>`).join('');
+
+  const params = new URLSearchParams({
+    colors: gradientColorIndices.map(index => colors[index].hex.replace('#', '')).join(','),
+    space,
+    hue: gradientHueSelect.value,
+    steps: gradientStepsInput.value,
+    angle: gradientAngleInput.value
   });
 
-  lines.push('      }');
-  lines.push('    }');
-  lines.push('  }');
-  lines.push('}');
-  return lines.join('\n');
+  try {
+    const response = await fetch(`/api/gradient?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.error('API Error:', data.error);
+      return;
+    }
+
+    currentGradient = data;
+    renderGradient();
+  } catch (error) {
+    console.error('Failed to build gradient:', error);
+  }
+}
+
+/**
+ * Show the current gradient as the selected type, using the interpolation
+ * method where the browser supports it and the sampled stops otherwise
+ */
+function renderGradient() {
+  if (!currentGradient) return;
+
+  const type = gradientTypeSelect.value;
+  const { css, fallback, stops } = currentGradient;
+  gradientPreview.style.backgroundImage = CSS.supports('background-image', css[type])
+    ? css[type]
+    : fallback[type];
+
+  gradientStops.innerHTML = stops.map(({ position, hex }) => `
+    <span style="background-color: ${hex};" title="${Math.round(position * 100)}%: ${hex}"></span>`).join('');
+}
+
+/**
+ * Fetch a data visualization palette seeded from the current base color and
+ * draw the sample charts with it
+ */
+async function loadDataviz() {
+  if (!currentPalette) return;
+
+  const kind = datavizKindSelect.value;
+  const range = DATAVIZ_COUNT_RANGES[kind];
+  const count = Math.max(range.min, Math.min(range.max, parseInt(datavizCountInput.value) || range.default));
+  datavizCountInput.value = count;
+
+  const params = new URLSearchParams({
+    count,
+    baseColor: (currentPalette.baseColor || currentPalette.colors[0].hex).replace('#', '')
+  });
+
+  try {
+    const response = await fetch(`/api/palette/dataviz/${kind}?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.error('API Error:', data.error);
+      return;
+    }
+
+    currentDataviz = data;
+    renderDataviz();
+  } catch (error) {
+    console.error('Failed to build data visualization palette:', error);
+  }
+}
+
+/**
+ * Deterministic sample data between 0 and 1, so charts only change with the palette
+ */
+function sampleValue(series, point) {
+  return 0.5 + 0.5 * Math.sin(series * 2.3 + point * 0.9 + 1) * Math.cos(point * 0.4 - series);
+}
+
+/**
+ * Show the data visualization palette as swatches and sample bar, line and heatmap charts
+ */
+function renderDataviz() {
+  if (!currentDataviz) return;
+
+  const { kind, colors, distinctness } = currentDataviz;
+  const hexes = colors.map(color => color.hex);
+  const n = hexes.length;
+  const width = 240;
+  const height = 150;
+  const pad = 12;
+  const plotWidth = width - pad * 2;
+  const plotHeight = height - pad * 2;
+
+  document.getElementById('datavizSwatches').innerHTML = colors.map(color => `
+    <span style="background-color: ${color.hex};" title="${escapeHtml(color.name)}: ${color.hex}"></span>`).join('');
+
+  const compared = kind === 'categorical' ? 'any two colors' : 'neighbouring colors';
+  document.getElementById('datavizDistinctness').textContent =
+    `Smallest OKLab difference between ${compared}: ` +
+    Object.entries(distinctness).map(([vision, value]) => `${vision} ${value}`).join(' · ');
+
+  // Bars: one per color; ramps rise in order, diverging bars grow away from a midline
+  const barWidth = plotWidth / n;
+  const midline = pad + plotHeight / 2;
+  const bars = hexes.map((hex, i) => {
+    let y, barHeight;
+    if (kind === 'diverging') {
+      const x = (i - (n - 1) / 2) / ((n - 1) / 2);
+      barHeight = Math.abs(x) * plotHeight / 2;
+      y = x < 0 ? midline : midline - barHeight;
+    } else {
+      const value = kind === 'sequential' ? (i + 1) / n : 0.2 + 0.8 * sampleValue(i, 0);
+      barHeight = value * plotHeight;
+      y = pad + plotHeight - barHeight;
+    }
+    return `<rect x="${(pad + i * barWidth + 1).toFixed(1)}" y="${y.toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${Math.max(barHeight, 1).toFixed(1)}" fill="${hex}"/>`;
+  });
+  const baseline = kind === 'diverging' ? midline : pad + plotHeight;
+  document.getElementById('datavizBar').innerHTML =
+    `<line class="dataviz-axis" x1="${pad}" y1="${baseline}" x2="${width - pad}" y2="${baseline}"/>` + bars.join('');
+
+  // Lines: one series per color; ramp series are stacked in palette order
+  const points = 8;
+  const lines = hexes.map((hex, i) => {
+    const path = Array.from({ length: points }, (_, j) => {
+      const level = kind === 'categorical'
+        ? sampleValue(i, j)
+        : (i + 0.5) / n + (sampleValue(i, j) - 0.5) / n;
+      const x = pad + j / (points - 1) * plotWidth;
+      const y = pad + (1 - level) * plotHeight;
+      return `${j === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    return `<path d="${path}" fill="none" stroke="${hex}" stroke-width="2" stroke-linejoin="round"/>`;
+  });
+  document.getElementById('datavizLine').innerHTML =
+    `<line class="dataviz-axis" x1="${pad}" y1="${pad + plotHeight}" x2="${width - pad}" y2="${pad + plotHeight}"/>` + lines.join('');
+
+  // Heatmap: a smooth field binned into the colors, so ramps read low to high
+  const columns = 12;
+  const rows = 7;
+  const cellWidth = plotWidth / columns;
+  const cellHeight = plotHeight / rows;
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const value = (Math.sin(column * 0.6) + Math.cos(row * 0.8 + column * 0.3) + 2) / 4;
+      const index = Math.min(n - 1, Math.floor(value * n));
+      cells.push(`<rect x="${(pad + column * cellWidth).toFixed(1)}" y="${(pad + row * cellHeight).toFixed(1)}" width="${cellWidth.toFixed(1)}" height="${cellHeight.toFixed(1)}" fill="${hexes[index]}"/>`);
+    }
+  }
+  document.getElementById('datavizHeatmap').innerHTML = cells.join('');
+}
+
+/**
+ * Show the gradient as CSS or an SVG document in the export modal
+ * @param {string} kind - 'css' or 'svg'
+ */
+function exportGradient(kind) {
+  if (!currentGradient) return;
+
+  const type = gradientTypeSelect.value;
+  const { css, fallback, svg, space } = currentGradient;
+  let text;
+
+  if (kind === 'svg') {
+    // SVG has no conic gradients
+    text = `${svg[type === 'radial' ? 'radial' : 'linear']}\n`;
+  } else {
+    // The sampled stops come first for browsers without interpolation methods
+    const declarations = space === 'srgb' ? [css[type]] : [fallback[type], css[type]];
+    text = [
+      '.gradient {',
+      ...declarations.map(value => `  background-image: ${value};`),
+      '}'
+    ].join('\n') + '\n';
+  }
+
+  currentExport = {
+    blob: new Blob([text], { type: kind === 'svg' ? 'image/svg+xml' : 'text/css' }),
+    filename: `gradient.${kind}`
+  };
+  document.getElementById('exportCode').textContent = text;
+
+  showCodeModal('export');
+}
+
+// Formats downloaded directly instead of shown as code
+const BINARY_EXPORT_FORMATS = ['ase', 'aco'];
+
+async function exportPalette(format) {
+  if (!currentPalette) return;
+
+  const exportCode = document.getElementById('exportCode');
+  const keys = exportNameKeysCheckbox.checked ? 'name' : 'role';
+
+  try {
+    const response = await fetch(`/api/palette/export/${format}?keys=${keys}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(currentPalette)
+    });
+
+    if (!response.ok) {
+      const { error } = await response.json();
+      console.error('API Error:', error);
+      return;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+
+    currentExport = {
+      blob,
+      filename: match ? match[1] : `palette.${format}`
+    };
+
+    if (BINARY_EXPORT_FORMATS.includes(format)) {
+      downloadExport();
+      return;
+    }
+
+    exportCode.textContent = await blob.text();
+  } catch (error) {
+    console.error('Failed to export palette:', error);
+    return;
+  }
+
+  showCodeModal('export');
+}
+
+/**
+ * Open the export/import modal on a tab
+ * @param {string} tab - 'export' or 'import'
+ */
+function showCodeModal(tab) {
+  bootstrap.Tab.getOrCreateInstance(document.getElementById(`${tab}Tab`)).show();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('exportModal')).show();
+}
+
+function openImport() {
+  showCodeModal('import');
+}
+
+// Import format implied by a file extension
+const IMPORT_EXTENSIONS = {
+  css: 'css',
+  scss: 'scss',
+  js: 'tailwind',
+  cjs: 'tailwind',
+  mjs: 'tailwind',
+  ts: 'tailwind',
+  json: 'json'
+};
+
+/**
+ * Load a CSS, SCSS, Tailwind config or JSON file into the import text area
+ * @param {File} file
+ */
+async function readImportFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  importFormatSelect.value = IMPORT_EXTENSIONS[extension] || 'auto';
+  importContentInput.value = await file.text();
+  importFileInput.value = '';
+}
+
+/**
+ * Build a palette from the import text and load it into the swatches and preview
+ */
+async function importPaletteCode() {
+  const content = importContentInput.value;
+  if (!content.trim()) return;
+
+  try {
+    const response = await fetch('/api/palette/import?contrast=true&scales=true', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content, format: importFormatSelect.value })
+    });
+    const palette = await response.json();
+
+    if (!response.ok) {
+      importResult.innerHTML = `<span class="text-danger">${escapeHtml(palette.error)}</span>`;
+      return;
+    }
+
+    const { format, variables, skipped } = palette.imported;
+    // The first variable of each role stands for its scale steps and repeats
+    const sources = {};
+    variables.filter(variable => variable.role).forEach(variable => {
+      sources[variable.role] = sources[variable.role] || variable.name;
+    });
+    const unused = variables.filter(variable => !variable.role);
+    importResult.innerHTML = [
+      `Imported ${palette.colors.length} colors from ${escapeHtml(format)}: ` +
+        Object.entries(sources)
+          .map(([role, name]) => `<code>${escapeHtml(name)}</code> → ${escapeHtml(role)}`).join(', '),
+      unused.length > 0 ? `Unused: ${unused.map(variable => `<code>${escapeHtml(variable.name)}</code>`).join(', ')}` : '',
+      skipped.length > 0 ? `Not colors: ${skipped.map(entry => `<code>${escapeHtml(entry.name)}</code>`).join(', ')}` : ''
+    ].filter(Boolean).map(line => `<div>${line}</div>`).join('');
+
+    // Locks refer to the previous palette's colors
+    lockedColors = {};
+    showPalette(palette);
+  } catch (error) {
+    console.error('Failed to import palette:', error);
+  }
+}
+
+function downloadExport() {
+  if (!currentExport) return;
+
+  const url = URL.createObjectURL(currentExport.blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = currentExport.filename;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
 function copyExportCode() {
@@ -300,5 +1622,15 @@ function copyExportCode() {
 
 // Make functions available globally for onclick handlers
 window.exportPalette = exportPalette;
+window.exportGradient = exportGradient;
+window.toggleGradientColor = toggleGradientColor;
 window.copyExportCode = copyExportCode;
+window.downloadExport = downloadExport;
+window.openImport = openImport;
+window.importPaletteCode = importPaletteCode;
 window.copyColor = copyColor;
+window.toggleLock = toggleLock;
+window.loadSavedPalette = loadSavedPalette;
+window.deleteSavedPalette = deleteSavedPalette;
+window.filterByTag = filterByTag;
+window.restoreHistoryEntry = restoreHistoryEntry;
@@ -6,16 +6,29 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import apiRoutes from './src/api/routes.js';
+import { loadHarmonyModules, HARMONIES_DIR } from './src/services/harmonyRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Extra harmonies, registered before the first request
+const { loaded, errors } = await loadHarmonyModules();
+if (loaded.length > 0) {
+  console.log(`🧩 Loaded harmonies from ${HARMONIES_DIR}: ${loaded.join(', ')}`);
+}
+for (const { file, error } of errors) {
+  console.warn(`⚠️  Skipped harmony module ${file}: ${error}`);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Serve static files from public directory
 app.use(express.static(join(__dirname, 'public')));
 
+// Parse JSON request bodies
+app.use(express.json({ limit: '1mb' }));
+
 // API routes
 app.use('/api', apiRoutes);
 
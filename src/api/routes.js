@@ -2,66 +2,305 @@
  * API routes for palette generation
  */
 
-import { Router } from 'express';
-import { generatePalette, HARMONY_TYPES } from '../services/colorGenerator.js';
+import express, { Router } from 'express';
+import {
+  generatePalette,
+  paletteFromColors,
+  HARMONY_TYPES,
+  COLOR_SPACES
+} from '../services/colorGenerator.js';
+import { analyzeContrast } from '../services/accessibility.js';
+import { simulatePalette, CVD_TYPES } from '../services/visionSimulator.js';
+import { exportPalette, EXPORT_FORMATS, EXPORT_KEYS } from '../services/exporters.js';
+import { decodeSwatchFile } from '../services/adobeSwatches.js';
+import {
+  extractColors,
+  extractPalette,
+  EXTRACTION_METHODS
+} from '../services/paletteExtractor.js';
+import { decodeImage } from '../services/imageDecoder.js';
+import { importPalette, IMPORT_FORMATS } from '../services/paletteImporter.js';
+import { isSemanticRole } from '../services/semanticColors.js';
+import {
+  listPalettes,
+  getPalette,
+  createPalette,
+  updatePalette,
+  deletePalette,
+  normalizeTags
+} from '../services/paletteStore.js';
+import { generateTheme } from '../services/themeGenerator.js';
+import { generateBootstrapTheme } from '../services/bootstrapTheme.js';
+import { analyzePalette } from '../services/paletteAnalyzer.js';
+import { ConstraintError } from '../services/paletteConstraints.js';
+import { listHarmonies } from '../services/harmonyRegistry.js';
+import {
+  generateGradient,
+  GRADIENT_SPACES,
+  HUE_METHODS,
+  MAX_GRADIENT_STEPS
+} from '../services/gradientGenerator.js';
+import {
+  describeColor,
+  applyColorOperation,
+  operationParams,
+  COLOR_OPERATIONS
+} from '../services/colorInfo.js';
+import {
+  generateDatavizPalette,
+  datavizCountRange,
+  DATAVIZ_KINDS
+} from '../services/datavizPalettes.js';
+import { parseColor, rgbToHex } from '../utils/colorUtils.js';
 
 const router = Router();
 
+// Raw body parser for binary file uploads
+const fileUpload = express.raw({ type: () => true, limit: '5mb' });
+const imageUpload = express.raw({ type: () => true, limit: '20mb' });
+
 /**
  * GET /api/harmonies
- * List available harmony types
+ * List available harmony types with their display labels, descriptions and
+ * parameter schemas
  */
 router.get('/harmonies', (req, res) => {
+  const harmonies = listHarmonies();
+  const byName = (field) => Object.fromEntries(harmonies.map(harmony => [harmony.name, harmony[field]]));
+
   res.json({
-    harmonies: HARMONY_TYPES,
-    descriptions: {
-      'complementary': 'Base color + 180° opposite',
-      'analogous': 'Colors adjacent on the wheel (±30°)',
-      'triadic': 'Three colors 120° apart',
-      'split-complementary': 'Base + two colors adjacent to complement',
-      'tetradic': 'Four colors in rectangle pattern (60°/180°/240°)',
-      'monochromatic': 'Same hue with varied saturation and lightness',
-      'square': 'Four colors 90° apart',
-      'double-complementary': 'Two complementary pairs (30° apart)',
-      'custom': 'User-defined angle offsets',
-      'random': 'Completely random colors'
-    }
+    harmonies: harmonies.map(harmony => harmony.name),
+    labels: byName('label'),
+    descriptions: byName('description'),
+    params: byName('params')
   });
 });
 
+const ACCESSIBILITY_LEVELS = ['AA', 'AAA'];
+
+/**
+ * Check for a 6-digit hex color, with or without #
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHex(value) {
+  return /^#?[0-9a-f]{6}$/i.test(value || '');
+}
+
+/**
+ * Parse a CSS color query param to hex (alpha is dropped).
+ * Bare hex digits without # are accepted for backwards compatibility.
+ * @param {string} value
+ * @returns {string|null} Hex color, or null if unparseable
+ */
+function parseColorParam(value) {
+  const input = /^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? `#${value}` : value;
+  const color = parseColor(input);
+  return color ? rgbToHex(color.r, color.g, color.b) : null;
+}
+
+/**
+ * Parse locked colors given as comma-separated index:hex pairs (e.g. "0:3498db,2:e74c3c")
+ * @param {string} value
+ * @returns {Object<number, string>|null} Hex colors keyed by index, or null if malformed
+ */
+function parseLocked(value) {
+  if (typeof value !== 'string') return null;
+
+  const locked = {};
+  for (const pair of value.split(',').filter(Boolean)) {
+    const match = /^([0-5]):#?([0-9a-f]{6})$/i.exec(pair.trim());
+    if (!match) return null;
+    locked[match[1]] = `#${match[2].toLowerCase()}`;
+  }
+  return locked;
+}
+
+/**
+ * Build generatePalette options from query params shared by the palette routes
+ * @param {Object} query - Express query object
+ * @returns {{options?: Object, error?: Object}} Options, or an error body for a 400
+ */
+function parsePaletteQuery(query) {
+  const {
+    count,
+    baseColor,
+    space,
+    seed,
+    contrast,
+    scales,
+    accessible,
+    background,
+    locked,
+    semantic
+  } = query;
+
+  if (space && !COLOR_SPACES.includes(space.toLowerCase())) {
+    return {
+      error: { error: 'Invalid color space', validSpaces: COLOR_SPACES }
+    };
+  }
+
+  if (accessible && !ACCESSIBILITY_LEVELS.includes(accessible.toUpperCase())) {
+    return {
+      error: { error: 'Invalid accessibility level', validLevels: ACCESSIBILITY_LEVELS }
+    };
+  }
+
+  if (background && !isHex(background)) {
+    return { error: { error: 'background must be a 6-digit hex color' } };
+  }
+
+  const lockedColors = locked ? parseLocked(locked) : {};
+  if (!lockedColors) {
+    return {
+      error: { error: 'locked must be comma-separated index:hex pairs with indices 0-5, e.g. 0:3498db,2:e74c3c' }
+    };
+  }
+
+  // Locks past the last color would be silently dropped
+  const colorCount = Math.max(2, Math.min(6, parseInt(count) || 5));
+  const outOfRange = Object.keys(lockedColors).map(Number).filter(index => index >= colorCount);
+  if (outOfRange.length > 0) {
+    return {
+      error: { error: `locked indices must be below count (${colorCount}): ${outOfRange.join(', ')}` }
+    };
+  }
+
+  const baseHex = baseColor ? parseColorParam(baseColor) : undefined;
+  if (baseHex === null) {
+    return {
+      error: {
+        error: `baseColor is not a recognized CSS color: ${baseColor}`,
+        examples: ['#3498db', '3498db', 'rebeccapurple', 'rgb(52 152 219)', 'hsl(204 70% 53%)', 'oklch(65% 0.13 240)']
+      }
+    };
+  }
+
+  return {
+    options: {
+      count: count ? parseInt(count) : 5,
+      baseColor: baseHex,
+      // Harmony parameters (e.g. angle) are picked out by the harmony's schema
+      params: query,
+      space: space ? space.toLowerCase() : 'hsl',
+      seed: seed || undefined,
+      contrast: contrast === 'true',
+      scales: scales === 'true',
+      accessible: accessible ? accessible.toUpperCase() : undefined,
+      background: background ? `#${background.replace('#', '')}`.toLowerCase() : undefined,
+      locked: lockedColors,
+      semantic: semantic === 'true'
+    }
+  };
+}
+
+/**
+ * Build generation constraints from query params
+ * @param {Object} query - Express query object
+ * @returns {{constraints?: Object, error?: Object}} Constraints (undefined if none
+ *   were given), or an error body for a 400
+ */
+function parseConstraintQuery(query) {
+  const constraints = {};
+
+  for (const [name, max] of [['minL', 100], ['maxL', 100], ['minS', 100], ['maxS', 100], ['minDeltaE', 100]]) {
+    if (query[name] === undefined) continue;
+    const value = Number(query[name]);
+    if (query[name] === '' || Number.isNaN(value) || value < 0 || value > max) {
+      return { error: { error: `${name} must be a number between 0 and ${max}` } };
+    }
+    constraints[name] = value;
+  }
+
+  for (const [min, max] of [['minL', 'maxL'], ['minS', 'maxS']]) {
+    if (constraints[min] > (constraints[max] ?? 100)) {
+      return { error: { error: `${min} must not be greater than ${max}` } };
+    }
+  }
+
+  if (query.excludeHues !== undefined) {
+    const ranges = query.excludeHues.split(',').map(range => /^\s*(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)\s*$/.exec(range));
+    if (ranges.some(match => !match || Number(match[1]) > 360 || Number(match[2]) > 360)) {
+      return {
+        error: { error: 'excludeHues must be comma-separated start-end hue ranges in degrees (0-360), e.g. 90-150,330-30' }
+      };
+    }
+    constraints.excludeHues = ranges.map(match => [Number(match[1]), Number(match[2])]);
+  }
+
+  return { constraints: Object.keys(constraints).length > 0 ? constraints : undefined };
+}
+
+/**
+ * Generate a palette and send it, or a 422 naming the broken constraints
+ * @param {Object} res - Express response
+ * @param {Object} options - generatePalette options
+ * @param {Function} [send] - Sends the generated palette (default: as JSON)
+ */
+function sendGeneratedPalette(res, options, send = palette => res.json(palette)) {
+  let palette;
+  try {
+    palette = generatePalette(options);
+  } catch (err) {
+    if (!(err instanceof ConstraintError)) throw err;
+    return res.status(422).json({
+      error: err.message,
+      attempts: err.attempts,
+      violations: err.violations
+    });
+  }
+
+  send(palette);
+}
+
 /**
  * GET /api/palette
  * Generate a random palette
  * Query params:
  *   - count: number of colors (2-6, default: 5)
- *   - baseColor: starting hex color (optional)
+ *   - baseColor: starting color in any CSS color syntax, or bare hex digits (optional)
  *   - harmony: harmony type (default: random)
- *   - angle: custom angle for 'custom' harmony
+ *   - harmony parameters from GET /api/harmonies, e.g. angle for 'custom'
+ *   - space: 'hsl', 'oklch' or 'lab' hue rotation (default: hsl)
+ *   - seed: PRNG seed for a reproducible palette (optional)
+ *   - contrast: 'true' to attach a pairwise contrast report (optional)
+ *   - scales: 'true' to add a 50-950 tint/shade scale to each color (optional)
+ *   - accessible: 'AA' or 'AAA' to repair text contrast (optional)
+ *   - background: hex background the repair targets (optional, default: black/white text)
+ *   - locked: index:hex pairs to keep fixed, e.g. 0:3498db,2:e74c3c (optional)
+ *   - semantic: 'true' to append success, warning, danger and info colors (optional)
+ *   - minL, maxL: HSL lightness range for the harmony colors (0-100, optional)
+ *   - minS, maxS: HSL saturation range for the harmony colors (0-100, optional)
+ *   - excludeHues: hue ranges to avoid, e.g. 90-150,330-30 (optional)
+ *   - minDeltaE: smallest CIEDE2000 distance between any two harmony colors (optional)
+ * Responds 422 with the violated constraints when they can't be met.
  */
 router.get('/palette', (req, res) => {
-  const { count, baseColor, harmony, angle } = req.query;
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
 
-  const palette = generatePalette({
-    harmony: harmony || 'random',
-    count: count ? parseInt(count) : 5,
-    baseColor: baseColor ? `#${baseColor.replace('#', '')}` : undefined,
-    angle: angle ? parseInt(angle) : 45
-  });
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
 
-  res.json(palette);
+  sendGeneratedPalette(res, {
+    ...options,
+    harmony: req.query.harmony || 'random',
+    constraints
+  });
 });
 
 /**
  * GET /api/palette/:harmony
  * Generate a palette with specific harmony type
- * Query params:
- *   - count: number of colors (2-6, default: 5)
- *   - baseColor: starting hex color (optional)
- *   - angle: custom angle for 'custom' harmony
+ * Query params: same as GET /api/palette, except harmony
  */
 router.get('/palette/:harmony', (req, res) => {
   const { harmony } = req.params;
-  const { count, baseColor, angle } = req.query;
 
   if (!HARMONY_TYPES.includes(harmony.toLowerCase())) {
     return res.status(400).json({
@@ -70,14 +309,940 @@ router.get('/palette/:harmony', (req, res) => {
     });
   }
 
-  const palette = generatePalette({
-    harmony,
-    count: count ? parseInt(count) : 5,
-    baseColor: baseColor ? `#${baseColor.replace('#', '')}` : undefined,
-    angle: angle ? parseInt(angle) : 45
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
+
+  sendGeneratedPalette(res, { ...options, harmony, constraints });
+});
+
+/**
+ * Validate a palette posted in a request body
+ * @param {Object} body - Parsed JSON body
+ * @returns {{palette?: Object, error?: Object}} Palette, or an error body for a 400
+ */
+function parsePaletteBody(body) {
+  const colors = body && body.colors;
+
+  if (!Array.isArray(colors) || colors.length === 0) {
+    return { error: { error: 'Request body must include a non-empty colors array' } };
+  }
+
+  if (!colors.every(color => color && isHex(color.hex))) {
+    return { error: { error: 'Every color must have a 6-digit hex value' } };
+  }
+
+  return {
+    palette: {
+      ...body,
+      harmony: body.harmony || 'custom',
+      colors: colors.map((color, index) => ({
+        ...color,
+        hex: `#${color.hex.replace('#', '')}`.toLowerCase(),
+        role: color.role || (index === 0 ? 'primary' : `accent-${index}`)
+      }))
+    }
+  };
+}
+
+/**
+ * Send a palette export as a downloadable file
+ */
+function sendExport(res, palette, format, keys) {
+  const { content, filename, mimeType } = exportPalette(palette, format, { keys });
+  res.attachment(filename);
+  res.type(mimeType);
+  res.send(content);
+}
+
+/**
+ * GET /api/palette/export/:format
+ * Generate a palette and download it in the given format
+ * Query params: same as GET /api/palette, plus
+ *   - name: palette name used by formats that carry one (optional)
+ *   - keys: 'role' or 'name' to key variables by color name (default: role)
+ */
+router.get('/palette/export/:format', (req, res) => {
+  const format = req.params.format.toLowerCase();
+  const harmony = (req.query.harmony || 'random').toLowerCase();
+  const keys = (req.query.keys || 'role').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid export format',
+      validFormats: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  if (!EXPORT_KEYS.includes(keys)) {
+    return res.status(400).json({
+      error: 'Invalid export keys',
+      validKeys: EXPORT_KEYS
+    });
+  }
+
+  if (!HARMONY_TYPES.includes(harmony)) {
+    return res.status(400).json({
+      error: 'Invalid harmony type',
+      validTypes: HARMONY_TYPES
+    });
+  }
+
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
+
+  sendGeneratedPalette(res, { ...options, harmony, constraints },
+    palette => sendExport(res, { ...palette, name: req.query.name }, format, keys));
+});
+
+/**
+ * POST /api/palette/export/:format
+ * Download a posted palette in the given format
+ * Body: { name?, harmony?, colors: [{ hex, role?, name?, scale? }] }
+ * Query params:
+ *   - keys: 'role' or 'name' to key variables by color name (default: role)
+ */
+router.post('/palette/export/:format', (req, res) => {
+  const format = req.params.format.toLowerCase();
+  const keys = (req.query.keys || 'role').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid export format',
+      validFormats: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  if (!EXPORT_KEYS.includes(keys)) {
+    return res.status(400).json({
+      error: 'Invalid export keys',
+      validKeys: EXPORT_KEYS
+    });
+  }
+
+  const { palette, error } = parsePaletteBody(req.body);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  sendExport(res, palette, format, keys);
+});
+
+/**
+ * Most colors POST /api/palette/analyze accepts; pairwise ΔE grows with the square
+ */
+const MAX_ANALYZE_COLORS = 64;
+
+/**
+ * POST /api/palette/analyze
+ * Detect the harmony of any list of colors and report its distribution
+ * Body: { colors: [string | { hex }] } - colors in any CSS color syntax, or palette colors
+ */
+router.post('/palette/analyze', (req, res) => {
+  const colors = req.body && req.body.colors;
+
+  if (!Array.isArray(colors) || colors.length === 0 || colors.length > MAX_ANALYZE_COLORS) {
+    return res.status(400).json({
+      error: `Request body must include a colors array of 1 to ${MAX_ANALYZE_COLORS} colors`
+    });
+  }
+
+  const hexes = colors.map(color =>
+    parseColorParam(typeof color === 'string' ? color : String(color && color.hex)));
+  const invalid = colors.filter((color, index) => hexes[index] === null);
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Every color must be a CSS color string or have a hex value',
+      invalidColors: invalid
+    });
+  }
+
+  res.json(analyzePalette(hexes));
+});
+
+/**
+ * GET /api/palette/dataviz/:kind
+ * Generate a palette for charts and maps
+ * Params:
+ *   - kind: 'categorical' (colors kept apart under normal and color-blind vision),
+ *     'sequential' (light-to-dark ramp) or 'diverging' (two ramps around a neutral midpoint)
+ * Query params:
+ *   - count: number of colors (categorical 2-12, default 8; sequential and diverging 3-12, default 9)
+ *   - baseColor: first category, or hue of the ramp, in any CSS color syntax (optional)
+ *   - seed: PRNG seed used when there is no base color, returned only then (optional)
+ */
+router.get('/palette/dataviz/:kind', (req, res) => {
+  const kind = req.params.kind.toLowerCase();
+  const { count, baseColor, seed } = req.query;
+
+  if (!DATAVIZ_KINDS.includes(kind)) {
+    return res.status(400).json({
+      error: 'Invalid data visualization palette kind',
+      validKinds: DATAVIZ_KINDS
+    });
+  }
+
+  const range = datavizCountRange(kind);
+  const colorCount = count !== undefined ? Number(count) : range.default;
+  if (!Number.isInteger(colorCount) || colorCount < range.min || colorCount > range.max) {
+    return res.status(400).json({
+      error: `count must be a whole number from ${range.min} to ${range.max} for ${kind} palettes`
+    });
+  }
+
+  const baseHex = baseColor ? parseColorParam(baseColor) : undefined;
+  if (baseHex === null) {
+    return res.status(400).json({ error: `baseColor is not a recognized CSS color: ${baseColor}` });
+  }
+
+  res.json(generateDatavizPalette(kind, { count: colorCount, baseColor: baseHex, seed: seed || undefined }));
+});
+
+/**
+ * GET /api/theme
+ * Generate a palette and derive light and dark semantic UI themes from it
+ * Query params: same as GET /api/palette
+ */
+router.get('/theme', (req, res) => {
+  const harmony = (req.query.harmony || 'random').toLowerCase();
+
+  if (!HARMONY_TYPES.includes(harmony)) {
+    return res.status(400).json({
+      error: 'Invalid harmony type',
+      validTypes: HARMONY_TYPES
+    });
+  }
+
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
+
+  sendGeneratedPalette(res, { ...options, harmony, constraints },
+    palette => res.json({ palette, ...generateTheme(palette) }));
+});
+
+/**
+ * POST /api/theme
+ * Derive light and dark semantic UI themes from a posted palette
+ * Body: { colors: [{ hex, role? }] } (the first color is the primary)
+ */
+router.post('/theme', (req, res) => {
+  const { palette, error } = parsePaletteBody(req.body);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  res.json(generateTheme(palette));
+});
+
+/**
+ * Bootstrap theme output formats and their content types
+ */
+const BOOTSTRAP_FORMATS = {
+  css: 'text/css',
+  scss: 'text/x-scss'
+};
+
+/**
+ * Send a palette's Bootstrap theme as a stylesheet or _variables.scss
+ */
+function sendBootstrapTheme(res, palette, format) {
+  const theme = generateBootstrapTheme(palette);
+  res.type(BOOTSTRAP_FORMATS[format]);
+  res.send(theme[format]);
+}
+
+/**
+ * GET /api/theme/bootstrap
+ * Generate a palette and return a Bootstrap 5.3 theme for it
+ * Query params: same as GET /api/palette, plus
+ *   - format: 'css' for a --bs-* override stylesheet (default), 'scss' for a _variables.scss
+ */
+router.get('/theme/bootstrap', (req, res) => {
+  const harmony = (req.query.harmony || 'random').toLowerCase();
+  const format = (req.query.format || 'css').toLowerCase();
+
+  if (!BOOTSTRAP_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid Bootstrap theme format',
+      validFormats: Object.keys(BOOTSTRAP_FORMATS)
+    });
+  }
+
+  if (!HARMONY_TYPES.includes(harmony)) {
+    return res.status(400).json({
+      error: 'Invalid harmony type',
+      validTypes: HARMONY_TYPES
+    });
+  }
+
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
+
+  sendGeneratedPalette(res, { ...options, harmony, constraints },
+    palette => sendBootstrapTheme(res, palette, format));
+});
+
+/**
+ * POST /api/theme/bootstrap
+ * Return a Bootstrap 5.3 theme for a posted palette
+ * Query params:
+ *   - format: 'css' (default) or 'scss'
+ * Body: { colors: [{ hex, role? }] } (success/warning/danger/info roles are used when present)
+ */
+router.post('/theme/bootstrap', (req, res) => {
+  const format = (req.query.format || 'css').toLowerCase();
+
+  if (!BOOTSTRAP_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid Bootstrap theme format',
+      validFormats: Object.keys(BOOTSTRAP_FORMATS)
+    });
+  }
+
+  const { palette, error } = parsePaletteBody(req.body);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  sendBootstrapTheme(res, palette, format);
+});
+
+/**
+ * POST /api/swatches/decode
+ * Decode an uploaded Adobe swatch file (.ase or .aco, sent as the raw request body)
+ */
+router.post('/swatches/decode', fileUpload, (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Upload a swatch file as the request body' });
+  }
+
+  try {
+    res.json(decodeSwatchFile(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/palette/from-swatches
+ * Build a palette from an uploaded Adobe swatch file (raw request body)
+ * Query params: same as GET /api/palette, plus
+ *   - mode: 'base' to generate a harmony from one swatch (default),
+ *           'lock' to use the swatches' colors as the palette
+ *   - index: swatch to use as base color in 'base' mode (default: 0)
+ */
+router.post('/palette/from-swatches', fileUpload, (req, res) => {
+  const { mode = 'base', index = '0' } = req.query;
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Upload a swatch file as the request body' });
+  }
+
+  let decoded;
+  try {
+    decoded = decodeSwatchFile(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (decoded.colors.length === 0) {
+    return res.status(400).json({ error: 'Swatch file contains no colors' });
+  }
+
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  if (mode === 'lock') {
+    return res.json(paletteFromColors(decoded.colors, {
+      name: decoded.name || undefined,
+      contrast: options.contrast,
+      scales: options.scales
+    }));
+  }
+
+  const harmony = (req.query.harmony || 'random').toLowerCase();
+  if (!HARMONY_TYPES.includes(harmony)) {
+    return res.status(400).json({
+      error: 'Invalid harmony type',
+      validTypes: HARMONY_TYPES
+    });
+  }
+
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
+
+  const base = decoded.colors[parseInt(index)] || decoded.colors[0];
+  sendGeneratedPalette(res, { ...options, harmony, baseColor: base.hex, constraints });
+});
+
+/**
+ * POST /api/palette/from-image
+ * Extract a palette from an uploaded PNG, JPEG or PPM image (raw request body)
+ * Query params: same as GET /api/palette, plus
+ *   - method: 'kmeans' or 'median-cut' clustering (default: kmeans)
+ *   - mode: 'lock' to use the extracted colors as the palette (default),
+ *           'base' to generate a harmony from one extracted color
+ *   - index: extracted color to use as base color in 'base' mode (default: 0, the most prominent)
+ */
+router.post('/palette/from-image', imageUpload, (req, res) => {
+  const { mode = 'lock', index = '0' } = req.query;
+  const method = (req.query.method || 'kmeans').toLowerCase();
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Upload an image as the request body' });
+  }
+
+  if (!EXTRACTION_METHODS.includes(method)) {
+    return res.status(400).json({
+      error: 'Invalid extraction method',
+      validMethods: EXTRACTION_METHODS
+    });
+  }
+
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  if (mode === 'lock') {
+    try {
+      return res.json(extractPalette(req.body, {
+        count: options.count,
+        method,
+        contrast: options.contrast,
+        scales: options.scales
+      }));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  const harmony = (req.query.harmony || 'random').toLowerCase();
+  if (!HARMONY_TYPES.includes(harmony)) {
+    return res.status(400).json({
+      error: 'Invalid harmony type',
+      validTypes: HARMONY_TYPES
+    });
+  }
+
+  const { constraints, error: constraintError } = parseConstraintQuery(req.query);
+  if (constraintError) {
+    return res.status(400).json(constraintError);
+  }
+
+  let extracted;
+  try {
+    extracted = extractColors(decodeImage(req.body), { count: options.count, method });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const base = extracted[parseInt(index)] || extracted[0];
+  sendGeneratedPalette(res, { ...options, harmony, baseColor: base.hex, constraints },
+    palette => res.json({ ...palette, extracted }));
+});
+
+/**
+ * POST /api/palette/import
+ * Build a palette from CSS custom properties, SCSS variables and maps, a Tailwind
+ * color config or a JSON palette export, mapping variable names back to roles
+ * Body: { content: string, format?: 'auto' | 'css' | 'scss' | 'tailwind' | 'json', name? }
+ * Query params: same as GET /api/palette (only contrast and scales apply)
+ */
+router.post('/palette/import', (req, res) => {
+  const { content, format = 'auto', name } = req.body || {};
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'Request body must include the file content as a string' });
+  }
+
+  if (format !== 'auto' && !IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Invalid import format',
+      validFormats: ['auto', ...IMPORT_FORMATS]
+    });
+  }
+
+  const { options, error } = parsePaletteQuery(req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  let imported;
+  try {
+    imported = importPalette(content, format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Status colors alone don't make a palette
+  if (imported.colors.length === 0 || isSemanticRole(imported.colors[0].role)) {
+    return res.status(400).json({
+      error: `No palette colors found in the ${imported.format} content`,
+      skipped: imported.skipped
+    });
+  }
+
+  res.json({
+    ...paletteFromColors(imported.colors, {
+      harmony: HARMONY_TYPES.includes(imported.harmony) ? imported.harmony : undefined,
+      name: typeof name === 'string' && name.trim() ? name.trim() : imported.name,
+      contrast: options.contrast,
+      scales: options.scales
+    }),
+    imported: {
+      format: imported.format,
+      variables: imported.variables,
+      skipped: imported.skipped
+    }
+  });
+});
+
+/**
+ * Most colors a saved palette may hold
+ */
+const MAX_SAVED_COLORS = 64;
+
+/**
+ * Most tags a saved palette may carry, and the longest tag
+ */
+const MAX_SAVED_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Harmony labels saved palettes may carry besides the generator harmonies
+ */
+const SAVED_ONLY_HARMONIES = ['image'];
+
+/**
+ * Validate the body of a saved-palette create or update
+ * @param {Object} body - Parsed JSON body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {{data?: Object, error?: Object}} Fields to store, or an error body for a 400
+ */
+function parseSavedPaletteBody(body, partial) {
+  if (!body || typeof body !== 'object') {
+    return { error: { error: 'Request body must be a JSON object' } };
+  }
+
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      return { error: { error: 'name must be a non-empty string of at most 100 characters' } };
+    }
+    data.name = body.name;
+  }
+
+  if (body.colors !== undefined || !partial) {
+    if (Array.isArray(body.colors) && body.colors.length > MAX_SAVED_COLORS) {
+      return { error: { error: `colors must hold at most ${MAX_SAVED_COLORS} colors` } };
+    }
+    const { palette, error } = parsePaletteBody(body);
+    if (error) {
+      return { error };
+    }
+    data.colors = palette.colors;
+  }
+
+  if (body.tags !== undefined) {
+    const validTags = typeof body.tags === 'string' ||
+      (Array.isArray(body.tags) && body.tags.every(tag => typeof tag === 'string' && tag.trim()));
+    if (!validTags) {
+      return { error: { error: 'tags must be an array of strings or a comma-separated string' } };
+    }
+    const tags = normalizeTags(body.tags);
+    if (tags.length > MAX_SAVED_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return {
+        error: { error: `tags must hold at most ${MAX_SAVED_TAGS} tags of at most ${MAX_TAG_LENGTH} characters` }
+      };
+    }
+    data.tags = tags;
+  }
+
+  if (body.baseColor !== undefined) {
+    if (!isHex(body.baseColor)) {
+      return { error: { error: 'baseColor must be a 6-digit hex color' } };
+    }
+    data.baseColor = `#${body.baseColor.replace('#', '')}`.toLowerCase();
+  }
+
+  // null clears an optional generation parameter
+  ['angle', 'space', 'seed', 'accessible'].forEach(key => {
+    if (body[key] === null) data[key] = null;
+  });
+
+  if (body.angle !== undefined && body.angle !== null) {
+    if (body.angle === '' || !Number.isFinite(Number(body.angle))) {
+      return { error: { error: 'angle must be a number' } };
+    }
+    data.angle = Number(body.angle);
+  }
+
+  if (body.harmony !== undefined) {
+    const harmonies = [...HARMONY_TYPES, ...SAVED_ONLY_HARMONIES];
+    if (typeof body.harmony !== 'string' || !harmonies.includes(body.harmony.toLowerCase())) {
+      return { error: { error: 'Invalid harmony type', validTypes: harmonies } };
+    }
+    data.harmony = body.harmony.toLowerCase();
+  }
+
+  if (body.space !== undefined && body.space !== null) {
+    if (typeof body.space !== 'string' || !COLOR_SPACES.includes(body.space.toLowerCase())) {
+      return { error: { error: 'Invalid color space', validSpaces: COLOR_SPACES } };
+    }
+    data.space = body.space.toLowerCase();
+  }
+
+  if (body.seed !== undefined && body.seed !== null) {
+    const validSeed = (typeof body.seed === 'string' && body.seed.length <= 100) ||
+      (typeof body.seed === 'number' && Number.isFinite(body.seed));
+    if (!validSeed) {
+      return { error: { error: 'seed must be a string of at most 100 characters or a number' } };
+    }
+    data.seed = body.seed;
+  }
+
+  if (body.accessible !== undefined && body.accessible !== null) {
+    if (typeof body.accessible !== 'string' || !ACCESSIBILITY_LEVELS.includes(body.accessible.toUpperCase())) {
+      return { error: { error: 'Invalid accessibility level', validLevels: ACCESSIBILITY_LEVELS } };
+    }
+    data.accessible = body.accessible.toUpperCase();
+  }
+
+  return { data };
+}
+
+/**
+ * GET /api/palettes
+ * List saved palettes, newest first
+ * Query params:
+ *   - q: text to match against names and tags (optional)
+ *   - tag: comma-separated tags a palette must all carry (optional)
+ *   - harmony: harmony type (optional)
+ */
+router.get('/palettes', async (req, res) => {
+  const { q, tag, harmony } = req.query;
+
+  const palettes = await listPalettes({
+    q,
+    tags: normalizeTags(tag),
+    harmony: harmony ? harmony.toLowerCase() : undefined
+  });
+
+  res.json({ count: palettes.length, palettes });
+});
+
+/**
+ * POST /api/palettes
+ * Save a palette
+ * Body: { name, tags?, colors: [{ hex, role? }], harmony?, baseColor?, angle?, space?, seed?, accessible? }
+ */
+router.post('/palettes', async (req, res) => {
+  const { data, error } = parseSavedPaletteBody(req.body, false);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  res.status(201).json(await createPalette(data));
+});
+
+/**
+ * GET /api/palettes/:id
+ * Get a saved palette
+ * Query params:
+ *   - contrast: 'true' to attach a pairwise contrast report (optional)
+ *   - scales: 'true' to add a 50-950 tint/shade scale to each color (optional)
+ */
+router.get('/palettes/:id', async (req, res) => {
+  const saved = await getPalette(req.params.id);
+  if (!saved) {
+    return res.status(404).json({ error: 'Palette not found' });
+  }
+
+  const contrast = req.query.contrast === 'true';
+  const scales = req.query.scales === 'true';
+  if (!contrast && !scales) {
+    return res.json(saved);
+  }
+
+  const expanded = paletteFromColors(saved.colors, { harmony: saved.harmony, contrast, scales });
+  res.json({
+    ...saved,
+    colors: expanded.colors,
+    ...(expanded.contrast ? { contrast: expanded.contrast } : {})
+  });
+});
+
+/**
+ * PUT /api/palettes/:id
+ * Update a saved palette's name, tags, colors or generation parameters
+ * Body: any of the fields accepted by POST /api/palettes
+ */
+router.put('/palettes/:id', async (req, res) => {
+  const { data, error } = parseSavedPaletteBody(req.body, true);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const updated = await updatePalette(req.params.id, data);
+  if (!updated) {
+    return res.status(404).json({ error: 'Palette not found' });
+  }
+
+  res.json(updated);
+});
+
+/**
+ * DELETE /api/palettes/:id
+ * Delete a saved palette
+ */
+router.delete('/palettes/:id', async (req, res) => {
+  const deleted = await deletePalette(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Palette not found' });
+  }
+
+  res.status(204).end();
+});
+
+/**
+ * Most colors a gradient can run through
+ */
+const MAX_GRADIENT_COLORS = 16;
+
+/**
+ * GET /api/gradient
+ * Interpolate a gradient through two or more colors
+ * Query params:
+ *   - colors: comma-separated hex or named CSS colors (required, 2-16)
+ *   - space: 'srgb', 'srgb-linear', 'hsl', 'lab' or 'oklch' (default: oklch)
+ *   - hue: 'shorter' or 'longer' hue interpolation for hsl and oklch (default: shorter)
+ *   - steps: number of sampled stops (2-64, default: 9)
+ *   - angle: linear direction and conic start in degrees (default: 90)
+ */
+router.get('/gradient', (req, res) => {
+  const { colors, steps, angle } = req.query;
+  const space = (req.query.space || 'oklch').toLowerCase();
+  const hue = (req.query.hue || 'shorter').toLowerCase();
+  const values = (colors || '').split(',').filter(Boolean);
+  const hexes = values.map(value => parseColorParam(value.trim()));
+
+  if (values.length < 2 || values.length > MAX_GRADIENT_COLORS || hexes.includes(null)) {
+    return res.status(400).json({
+      error: `colors must be a comma-separated list of 2 to ${MAX_GRADIENT_COLORS} hex or named CSS colors`
+    });
+  }
+
+  if (!GRADIENT_SPACES.includes(space)) {
+    return res.status(400).json({
+      error: 'Invalid interpolation space',
+      validSpaces: GRADIENT_SPACES
+    });
+  }
+
+  if (!HUE_METHODS.includes(hue)) {
+    return res.status(400).json({
+      error: 'Invalid hue interpolation method',
+      validMethods: HUE_METHODS
+    });
+  }
+
+  const stopCount = steps !== undefined ? Number(steps) : 9;
+  if (!Number.isInteger(stopCount) || stopCount < 2 || stopCount > MAX_GRADIENT_STEPS) {
+    return res.status(400).json({ error: `steps must be a whole number from 2 to ${MAX_GRADIENT_STEPS}` });
+  }
+
+  const degrees = angle !== undefined ? Number(angle) : 90;
+  if (Number.isNaN(degrees)) {
+    return res.status(400).json({ error: 'angle must be a number of degrees' });
+  }
+
+  res.json(generateGradient({ colors: hexes, space, hue, steps: stopCount, angle: degrees }));
+});
+
+/**
+ * GET /api/color/:value
+ * Describe one color in every supported space, with its luminance and nearest name
+ * Params:
+ *   - value: hex (with or without #) or any CSS color
+ */
+router.get('/color/:value', (req, res) => {
+  const hex = parseColorParam(req.params.value);
+
+  if (!hex) {
+    return res.status(400).json({ error: 'value must be a hex or CSS color' });
+  }
+
+  res.json(describeColor(hex));
+});
+
+/**
+ * Read an operation's parameters from query params, applying defaults
+ * @param {string} operation - One of COLOR_OPERATIONS
+ * @param {Object} query
+ * @returns {{params?: Object, error?: Object}}
+ */
+function parseOperationQuery(operation, query) {
+  const params = {};
+
+  for (const [name, spec] of Object.entries(operationParams(operation))) {
+    const value = query[name];
+
+    if (spec.type === 'color') {
+      params[name] = value !== undefined ? parseColorParam(value) : null;
+      if (!params[name]) {
+        return { error: { error: `${name} must be a hex or CSS color` } };
+      }
+    } else if (spec.type === 'space') {
+      params[name] = value !== undefined ? value.toLowerCase() : spec.default;
+      if (!GRADIENT_SPACES.includes(params[name])) {
+        return { error: { error: 'Invalid interpolation space', validSpaces: GRADIENT_SPACES } };
+      }
+    } else {
+      params[name] = value !== undefined ? Number(value) : spec.default;
+      if (value === '' || Number.isNaN(params[name]) || params[name] < spec.min || params[name] > spec.max) {
+        return { error: { error: `${name} must be a number between ${spec.min} and ${spec.max}` } };
+      }
+    }
+  }
+
+  return { params };
+}
+
+/**
+ * GET /api/color/:value/:operation
+ * Apply an operation to a color
+ * Params:
+ *   - value: hex (with or without #) or any CSS color
+ *   - operation: lighten, darken, saturate, desaturate, rotate, mix, invert,
+ *     grayscale, tint or shade
+ * Query params:
+ *   - amount: HSL percentage points for lighten/darken/saturate/desaturate,
+ *     percent of white or black for tint/shade (0-100, default: 10)
+ *   - degrees: hue rotation for rotate (-360 to 360, default: 180)
+ *   - with: second color for mix (required)
+ *   - ratio: amount of the second color for mix (0-1, default: 0.5)
+ *   - space: interpolation space for mix (default: srgb)
+ */
+router.get('/color/:value/:operation', (req, res) => {
+  const hex = parseColorParam(req.params.value);
+  const operation = req.params.operation.toLowerCase();
+
+  if (!hex) {
+    return res.status(400).json({ error: 'value must be a hex or CSS color' });
+  }
+
+  if (!COLOR_OPERATIONS.includes(operation)) {
+    return res.status(400).json({
+      error: 'Invalid operation',
+      validOperations: COLOR_OPERATIONS
+    });
+  }
+
+  const { params, error } = parseOperationQuery(operation, req.query);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  res.json({
+    operation,
+    input: hex,
+    parameters: params,
+    result: describeColor(applyColorOperation(hex, operation, params))
   });
+});
+
+/**
+ * GET /api/contrast
+ * Contrast of a text color on a background color
+ * Query params:
+ *   - foreground: text hex color (required)
+ *   - background: background hex color (required)
+ */
+router.get('/contrast', (req, res) => {
+  const { foreground, background } = req.query;
+
+  if (!isHex(foreground) || !isHex(background)) {
+    return res.status(400).json({
+      error: 'foreground and background must be 6-digit hex colors'
+    });
+  }
+
+  res.json(analyzeContrast(
+    `#${foreground.replace('#', '')}`.toLowerCase(),
+    `#${background.replace('#', '')}`.toLowerCase()
+  ));
+});
+
+/**
+ * GET /api/simulate
+ * Simulate how colors appear with color vision deficiencies
+ * Query params:
+ *   - colors: comma-separated hex colors (required)
+ *   - type: deficiency type (optional, default: all types)
+ *   - severity: 0-1 (default: 1)
+ */
+router.get('/simulate', (req, res) => {
+  const { colors, type, severity } = req.query;
+  const hexes = (colors || '').split(',').filter(Boolean);
+
+  if (hexes.length === 0 || !hexes.every(isHex)) {
+    return res.status(400).json({
+      error: 'colors must be a comma-separated list of 6-digit hex colors'
+    });
+  }
+
+  if (type && !CVD_TYPES.includes(type.toLowerCase())) {
+    return res.status(400).json({
+      error: 'Invalid deficiency type',
+      validTypes: CVD_TYPES
+    });
+  }
+
+  const amount = severity !== undefined ? parseFloat(severity) : 1;
+  if (Number.isNaN(amount) || amount < 0 || amount > 1) {
+    return res.status(400).json({ error: 'severity must be a number between 0 and 1' });
+  }
 
-  res.json(palette);
+  const normalized = hexes.map(hex => `#${hex.replace('#', '')}`.toLowerCase());
+  const types = type ? [type.toLowerCase()] : CVD_TYPES;
+
+  res.json({
+    severity: amount,
+    simulations: types.map(t => simulatePalette(normalized, t, amount))
+  });
 });
 
 export default router;
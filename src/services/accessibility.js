@@ -0,0 +1,169 @@
+/**
+ * Contrast analysis using WCAG 2.x ratios and APCA lightness contrast
+ */
+
+import {
+  contrastRatio,
+  apcaContrast,
+  getContrastColor,
+  hexToOklch,
+  oklchToHex,
+  hexToHsl
+} from '../utils/colorUtils.js';
+
+/**
+ * WCAG 2.x minimum contrast ratios by level and text size
+ */
+export const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+/**
+ * Check a contrast ratio against every WCAG level and text size
+ * @param {number} ratio - WCAG contrast ratio
+ * @returns {{AA: {normal: boolean, large: boolean}, AAA: {normal: boolean, large: boolean}}}
+ */
+export function wcagCompliance(ratio) {
+  const result = {};
+  for (const [level, sizes] of Object.entries(WCAG_THRESHOLDS)) {
+    result[level] = {
+      normal: ratio >= sizes.normal,
+      large: ratio >= sizes.large
+    };
+  }
+  return result;
+}
+
+/**
+ * Analyze the contrast of a foreground color on a background color
+ * @param {string} foreground - Text hex color
+ * @param {string} background - Background hex color
+ * @returns {Object} WCAG ratio with pass/fail flags and APCA Lc
+ */
+export function analyzeContrast(foreground, background) {
+  const ratio = contrastRatio(foreground, background);
+
+  return {
+    foreground,
+    background,
+    wcag: {
+      ratio: Math.round(ratio * 100) / 100,
+      ...wcagCompliance(ratio)
+    },
+    apca: {
+      lc: Math.round(apcaContrast(foreground, background) * 10) / 10
+    }
+  };
+}
+
+/**
+ * Build an accessibility report for a list of palette colors
+ * @param {Array<{hex: string, role: string}>} colors - Palette colors
+ * @returns {Object} Per-color text contrast and a pairwise contrast matrix
+ */
+export function buildContrastReport(colors) {
+  const text = colors.map((color, index) => {
+    const textColor = getContrastColor(color.hex);
+    const { wcag, apca } = analyzeContrast(color.hex, '#ffffff');
+    return {
+      index,
+      role: color.role,
+      textColor,
+      ...analyzeContrast(textColor, color.hex),
+      // The color itself used as text on a white surface (links, outline buttons)
+      onWhite: { wcag, apca }
+    };
+  });
+
+  // matrix[i][j] is color i used as text on color j as background
+  const matrix = colors.map(fg => colors.map(bg => {
+    const { wcag, apca } = analyzeContrast(fg.hex, bg.hex);
+    return { wcag, apca };
+  }));
+
+  return {
+    roles: colors.map(color => color.role),
+    text,
+    matrix
+  };
+}
+
+/**
+ * Contrast ratio a color reaches against the given background, or against
+ * its best black/white text color when no background is given
+ */
+function bestContrast(hex, background) {
+  if (background) return contrastRatio(hex, background);
+  return Math.max(contrastRatio(hex, '#000000'), contrastRatio(hex, '#ffffff'));
+}
+
+/**
+ * Nudge a color's OKLCH lightness by the smallest amount that meets a contrast target.
+ * Hue is held constant so harmony relationships are preserved.
+ * @param {string} hex - Hex color to repair
+ * @param {number} target - Minimum WCAG contrast ratio
+ * @param {string} [background] - Background hex color (default: best of black/white)
+ * @returns {string} Repaired hex color (unchanged if it already passes)
+ */
+export function repairColor(hex, target, background) {
+  if (bestContrast(hex, background) >= target) return hex;
+
+  const { l, c, h } = hexToOklch(hex);
+  const step = 0.005;
+
+  for (let delta = step; delta <= 1; delta += step) {
+    for (const candidateL of [l - delta, l + delta]) {
+      if (candidateL < 0 || candidateL > 1) continue;
+      const candidate = oklchToHex(candidateL, c, h);
+      if (bestContrast(candidate, background) >= target) return candidate;
+    }
+  }
+
+  return hex;
+}
+
+/**
+ * Repair every palette color so text on it (or it on a background) meets a WCAG level
+ * @param {Array<{hex: string, hsl: Object, role: string}>} colors - Palette colors
+ * @param {Object} options
+ * @param {string} options.level - 'AA' or 'AAA'
+ * @param {string} [options.background] - Background hex color (default: best of black/white)
+ * @param {number[]} [options.fixed] - Indices of colors to leave unchanged (reported but not repaired)
+ * @returns {{colors: Array<Object>, report: Object}} Repaired colors and a change report
+ */
+export function repairPalette(colors, { level, background, fixed = [] }) {
+  const target = WCAG_THRESHOLDS[level].normal;
+
+  const adjustments = [];
+  const repaired = colors.map((color, index) => {
+    const hex = fixed.includes(index) ? color.hex : repairColor(color.hex, target, background);
+    const against = background || getContrastColor(hex);
+    const originalL = hexToOklch(color.hex).l;
+    const adjustedL = hexToOklch(hex).l;
+
+    adjustments.push({
+      index,
+      role: color.role,
+      changed: hex !== color.hex,
+      original: { hex: color.hex, hsl: color.hsl },
+      adjusted: { hex, hsl: hexToHsl(hex) },
+      deltaL: Math.round((adjustedL - originalL) * 1000) / 1000,
+      against,
+      ratio: Math.round(contrastRatio(hex, against) * 100) / 100,
+      passes: contrastRatio(hex, against) >= target
+    });
+
+    return hex === color.hex ? color : { ...color, hex, hsl: hexToHsl(hex) };
+  });
+
+  return {
+    colors: repaired,
+    report: {
+      level,
+      target,
+      background: background || null,
+      adjustments
+    }
+  };
+}
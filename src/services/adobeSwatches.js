@@ -0,0 +1,348 @@
+/**
+ * Adobe swatch file encoders and decoders
+ *   - ASE: Adobe Swatch Exchange (Illustrator, InDesign, Photoshop)
+ *   - ACO: Photoshop Color Swatches, versions 1 and 2
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  hslToRgb,
+  labToRgb
+} from '../utils/colorUtils.js';
+
+const ASE_SIGNATURE = 'ASEF';
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR_ENTRY = 0x0001;
+const ASE_COLOR_TYPE_NORMAL = 2;
+
+const ACO_SPACE_RGB = 0;
+const ACO_SPACE_HSB = 1;
+const ACO_SPACE_CMYK = 2;
+const ACO_SPACE_LAB = 7;
+const ACO_SPACE_GRAY = 8;
+
+/**
+ * Encode a string as UTF-16BE with a trailing null
+ * @param {string} str
+ * @returns {Buffer}
+ */
+function encodeUtf16(str) {
+  const buffer = Buffer.alloc((str.length + 1) * 2);
+  for (let i = 0; i < str.length; i++) {
+    buffer.writeUInt16BE(str.charCodeAt(i), i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Decode a UTF-16BE string of the given length in code units, dropping a trailing null
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function decodeUtf16(buffer, offset, length) {
+  let str = '';
+  for (let i = 0; i < length; i++) {
+    const code = buffer.readUInt16BE(offset + i * 2);
+    if (code === 0) break;
+    str += String.fromCharCode(code);
+  }
+  return str;
+}
+
+/**
+ * Swatch name for a palette color: its role, followed by its color name if it has one
+ * @param {Object} color - Palette color {role, name?}
+ * @returns {string}
+ */
+function swatchName(color) {
+  return color.name ? `${color.role} ${color.name}` : color.role;
+}
+
+/**
+ * Split a swatch name into the palette role it starts with, if any, and the
+ * color name after it (the reverse of swatchName)
+ * @param {string} swatch
+ * @returns {{role: string|undefined, name: string|null}}
+ */
+function parseSwatchName(swatch) {
+  const match = /^(primary|accent-\d+|success|warning|danger|info)(?:\s+(.*))?$/.exec(swatch || '');
+  if (!match) return { role: undefined, name: swatch || null };
+  return { role: match[1], name: match[2] ? match[2].trim() : null };
+}
+
+/**
+ * Convert CMYK (0-1) to hex
+ */
+function cmykToHex(c, m, y, k) {
+  return rgbToHex(
+    255 * (1 - c) * (1 - k),
+    255 * (1 - m) * (1 - k),
+    255 * (1 - y) * (1 - k)
+  );
+}
+
+/**
+ * Encode a palette as an Adobe Swatch Exchange file.
+ * Colors are written inside a group named after the palette, one RGB entry per role.
+ * @param {Object} palette - Palette with colors [{hex, role}]
+ * @returns {Buffer}
+ */
+export function encodeASE(palette) {
+  const groupName = encodeUtf16(palette.name || `Node Swatch ${palette.harmony || 'palette'}`);
+  const blocks = [];
+
+  const groupStart = Buffer.alloc(2);
+  groupStart.writeUInt16BE(groupName.length / 2, 0);
+  blocks.push({ type: ASE_GROUP_START, body: Buffer.concat([groupStart, groupName]) });
+
+  palette.colors.forEach(color => {
+    const name = encodeUtf16(swatchName(color));
+    const { r, g, b } = hexToRgb(color.hex);
+
+    const body = Buffer.alloc(2 + name.length + 4 + 12 + 2);
+    let offset = body.writeUInt16BE(name.length / 2, 0);
+    offset += name.copy(body, offset);
+    offset += body.write('RGB ', offset, 'ascii');
+    offset = body.writeFloatBE(r / 255, offset);
+    offset = body.writeFloatBE(g / 255, offset);
+    offset = body.writeFloatBE(b / 255, offset);
+    body.writeUInt16BE(ASE_COLOR_TYPE_NORMAL, offset);
+
+    blocks.push({ type: ASE_COLOR_ENTRY, body });
+  });
+
+  blocks.push({ type: ASE_GROUP_END, body: Buffer.alloc(0) });
+
+  const header = Buffer.alloc(12);
+  header.write(ASE_SIGNATURE, 0, 'ascii');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+
+  const encoded = blocks.map(({ type, body }) => {
+    const blockHeader = Buffer.alloc(6);
+    blockHeader.writeUInt16BE(type, 0);
+    blockHeader.writeUInt32BE(body.length, 2);
+    return Buffer.concat([blockHeader, body]);
+  });
+
+  return Buffer.concat([header, ...encoded]);
+}
+
+/**
+ * Decode an Adobe Swatch Exchange file
+ * @param {Buffer} buffer
+ * @returns {{format: string, name: string|null, colors: Array<Object>}}
+ */
+export function decodeASE(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== ASE_SIGNATURE) {
+    throw new Error('Not an Adobe Swatch Exchange file');
+  }
+
+  const blockCount = buffer.readUInt32BE(8);
+  const colors = [];
+  let paletteName = null;
+  let group = null;
+  let offset = 12;
+
+  for (let i = 0; i < blockCount; i++) {
+    if (offset + 6 > buffer.length) {
+      throw new Error('Truncated ASE file');
+    }
+
+    const type = buffer.readUInt16BE(offset);
+    const length = buffer.readUInt32BE(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+
+    if (offset > buffer.length) {
+      throw new Error('Truncated ASE file');
+    }
+
+    if (type === ASE_GROUP_END) {
+      group = null;
+      continue;
+    }
+
+    const nameLength = buffer.readUInt16BE(start);
+    const name = decodeUtf16(buffer, start + 2, nameLength);
+
+    if (type === ASE_GROUP_START) {
+      group = name;
+      if (paletteName === null) paletteName = name;
+      continue;
+    }
+
+    if (type !== ASE_COLOR_ENTRY) continue;
+
+    const modelOffset = start + 2 + nameLength * 2;
+    const model = buffer.toString('ascii', modelOffset, modelOffset + 4).trim();
+    const value = (n) => buffer.readFloatBE(modelOffset + 4 + n * 4);
+
+    let hex;
+    switch (model) {
+      case 'RGB':
+        hex = rgbToHex(value(0) * 255, value(1) * 255, value(2) * 255);
+        break;
+      case 'CMYK':
+        hex = cmykToHex(value(0), value(1), value(2), value(3));
+        break;
+      case 'LAB': {
+        const { r, g, b } = labToRgb(value(0) * 100, value(1), value(2));
+        hex = rgbToHex(r, g, b);
+        break;
+      }
+      case 'Gray':
+        hex = rgbToHex(value(0) * 255, value(0) * 255, value(0) * 255);
+        break;
+      default:
+        continue;
+    }
+
+    colors.push({ hex, ...parseSwatchName(name), group });
+  }
+
+  return { format: 'ase', name: paletteName, colors };
+}
+
+/**
+ * Encode a palette as a Photoshop .aco file (version 1 section followed by version 2 with names)
+ * @param {Object} palette - Palette with colors [{hex, role}]
+ * @returns {Buffer}
+ */
+export function encodeACO(palette) {
+  const colorRecord = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    const record = Buffer.alloc(10);
+    record.writeUInt16BE(ACO_SPACE_RGB, 0);
+    record.writeUInt16BE(r * 257, 2);
+    record.writeUInt16BE(g * 257, 4);
+    record.writeUInt16BE(b * 257, 6);
+    return record;
+  };
+
+  const section = (version, withNames) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(version, 0);
+    header.writeUInt16BE(palette.colors.length, 2);
+
+    const records = palette.colors.map(color => {
+      const record = colorRecord(color.hex);
+      if (!withNames) return record;
+
+      const name = encodeUtf16(swatchName(color));
+      const nameLength = Buffer.alloc(4);
+      nameLength.writeUInt32BE(name.length / 2, 0);
+      return Buffer.concat([record, nameLength, name]);
+    });
+
+    return Buffer.concat([header, ...records]);
+  };
+
+  return Buffer.concat([section(1, false), section(2, true)]);
+}
+
+/**
+ * Decode a Photoshop .aco file, preferring the named version 2 section when present
+ * @param {Buffer} buffer
+ * @returns {{format: string, name: null, colors: Array<Object>}}
+ */
+export function decodeACO(buffer) {
+  const readSection = (offset) => {
+    const version = buffer.readUInt16BE(offset);
+    const count = buffer.readUInt16BE(offset + 2);
+    const colors = [];
+    let position = offset + 4;
+
+    for (let i = 0; i < count; i++) {
+      if (position + 10 > buffer.length) {
+        throw new Error('Truncated ACO file');
+      }
+
+      const space = buffer.readUInt16BE(position);
+      const w = buffer.readUInt16BE(position + 2);
+      const x = buffer.readUInt16BE(position + 4);
+      const y = buffer.readUInt16BE(position + 6);
+      const z = buffer.readUInt16BE(position + 8);
+      position += 10;
+
+      let name = '';
+      if (version === 2) {
+        const nameLength = buffer.readUInt32BE(position);
+        name = decodeUtf16(buffer, position + 4, nameLength);
+        position += 4 + nameLength * 2;
+      }
+
+      let hex;
+      switch (space) {
+        case ACO_SPACE_RGB:
+          hex = rgbToHex(w / 257, x / 257, y / 257);
+          break;
+        case ACO_SPACE_HSB: {
+          // HSB brightness/saturation to HSL lightness/saturation
+          const h = w / 65535 * 360;
+          const sv = x / 65535;
+          const v = y / 65535;
+          const l = v * (1 - sv / 2);
+          const sl = l === 0 || l === 1 ? 0 : (v - l) / Math.min(l, 1 - l);
+          const { r, g, b } = hslToRgb(h, sl * 100, l * 100);
+          hex = rgbToHex(r, g, b);
+          break;
+        }
+        case ACO_SPACE_CMYK:
+          // Photoshop stores CMYK inverted: 0 is 100% ink
+          hex = cmykToHex(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535);
+          break;
+        case ACO_SPACE_LAB: {
+          const toSigned = (n) => (n > 32767 ? n - 65536 : n);
+          const { r, g, b } = labToRgb(w / 100, toSigned(x) / 100, toSigned(y) / 100);
+          hex = rgbToHex(r, g, b);
+          break;
+        }
+        case ACO_SPACE_GRAY: {
+          // Gray is stored as ink coverage, 0-10000
+          const level = 255 * (1 - w / 10000);
+          hex = rgbToHex(level, level, level);
+          break;
+        }
+        default:
+          hex = null;
+      }
+
+      if (hex) {
+        colors.push({ hex, ...parseSwatchName(name) });
+      }
+    }
+
+    return { version, colors, end: position };
+  };
+
+  if (buffer.length < 4 || ![1, 2].includes(buffer.readUInt16BE(0))) {
+    throw new Error('Not a Photoshop swatch file');
+  }
+
+  const first = readSection(0);
+
+  let { colors } = first;
+  if (first.version === 1 && first.end + 4 <= buffer.length && buffer.readUInt16BE(first.end) === 2) {
+    ({ colors } = readSection(first.end));
+  }
+
+  return { format: 'aco', name: null, colors };
+}
+
+/**
+ * Decode an ASE or ACO file, detecting the format from its contents
+ * @param {Buffer} buffer
+ * @returns {{format: string, name: string|null, colors: Array<Object>}}
+ */
+export function decodeSwatchFile(buffer) {
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === ASE_SIGNATURE) {
+    return decodeASE(buffer);
+  }
+  return decodeACO(buffer);
+}
@@ -0,0 +1,300 @@
+/**
+ * Drop-in Bootstrap 5.3 theme (CSS custom properties and Sass variables) from a palette
+ */
+
+import {
+  hexToRgb,
+  hexToOklch,
+  oklchToHex,
+  contrastRatio
+} from '../utils/colorUtils.js';
+import { generateTheme } from './themeGenerator.js';
+import { mixColors } from './gradientGenerator.js';
+import { deriveSemanticColors, isSemanticRole } from './semanticColors.js';
+
+/**
+ * Bootstrap's theme colors, in the order Bootstrap declares them
+ */
+export const BOOTSTRAP_THEME_COLORS = [
+  'primary',
+  'secondary',
+  'success',
+  'info',
+  'warning',
+  'danger',
+  'light',
+  'dark'
+];
+
+/**
+ * Bootstrap's $min-contrast-ratio for color-contrast()
+ */
+const MIN_CONTRAST_RATIO = 4.5;
+
+const WHITE = '#ffffff';
+const BLACK = '#000000';
+
+// Bootstrap's tint-color() and shade-color(): sRGB mixes toward white or black
+const tint = (hex, weight) => mixColors(hex, WHITE, weight);
+const shade = (hex, weight) => mixColors(hex, BLACK, weight);
+
+/**
+ * Bootstrap's color-contrast(): white if it reaches the minimum ratio, then
+ * black, otherwise whichever contrasts more
+ */
+function colorContrast(hex) {
+  if (contrastRatio(hex, WHITE) >= MIN_CONTRAST_RATIO) return WHITE;
+  if (contrastRatio(hex, BLACK) >= MIN_CONTRAST_RATIO) return BLACK;
+  return contrastRatio(hex, WHITE) >= contrastRatio(hex, BLACK) ? WHITE : BLACK;
+}
+
+/**
+ * Hex as the "r, g, b" triplet Bootstrap's -rgb variables hold
+ */
+function rgbTriplet(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return `${r}, ${g}, ${b}`;
+}
+
+/**
+ * Map a palette onto Bootstrap's theme colors. Primary and secondary are the
+ * first two palette colors; status colors come from the palette when it has
+ * them and are derived for any it lacks; light and dark are the derived theme surfaces.
+ * @param {Object} palette - Palette with colors [{hex, role}]
+ * @param {Object} theme - Light/dark theme from generateTheme
+ * @returns {Object<string, string>} Theme color name to hex
+ */
+function themeColors(palette, theme) {
+  const nonStatus = palette.colors.filter(color => !isSemanticRole(color.role));
+  const harmonyColors = nonStatus.length > 0 ? nonStatus : palette.colors;
+  const statusColors = palette.colors.filter(color => isSemanticRole(color.role));
+  const byRole = Object.fromEntries(
+    [...deriveSemanticColors(harmonyColors), ...statusColors].map(color => [color.role, color.hex])
+  );
+
+  const primary = harmonyColors[0].hex;
+  const { h } = hexToOklch(primary);
+
+  return {
+    primary,
+    // Single-color palettes get a muted gray in the primary's hue
+    secondary: harmonyColors[1] ? harmonyColors[1].hex : oklchToHex(0.55, 0.02, h),
+    success: byRole.success,
+    info: byRole.info,
+    warning: byRole.warning,
+    danger: byRole.danger,
+    light: theme.light['surface-1'],
+    dark: theme.dark['surface-2']
+  };
+}
+
+/**
+ * Per-color variables for one scheme, using Bootstrap's own tint/shade amounts
+ */
+function colorVariables(name, hex, scheme) {
+  const [emphasis, bgSubtle, borderSubtle] = scheme === 'light'
+    ? [shade(hex, 0.6), tint(hex, 0.8), tint(hex, 0.6)]
+    : [tint(hex, 0.4), shade(hex, 0.8), shade(hex, 0.4)];
+
+  return [
+    ...(scheme === 'light' ? [[name, hex], [`${name}-rgb`, rgbTriplet(hex)]] : []),
+    [`${name}-text-emphasis`, emphasis],
+    [`${name}-bg-subtle`, bgSubtle],
+    [`${name}-border-subtle`, borderSubtle]
+  ];
+}
+
+/**
+ * Body, link and focus ring variables for one scheme, from the derived theme tokens
+ */
+function schemeVariables(tokens, scheme) {
+  const linkHover = scheme === 'light' ? shade(tokens.link, 0.2) : tint(tokens.link, 0.2);
+
+  return [
+    ['body-color', tokens.text],
+    ['body-color-rgb', rgbTriplet(tokens.text)],
+    ['body-bg', tokens.background],
+    ['body-bg-rgb', rgbTriplet(tokens.background)],
+    ['emphasis-color', tokens.text],
+    ['emphasis-color-rgb', rgbTriplet(tokens.text)],
+    ['secondary-color', tokens['text-muted']],
+    ['secondary-color-rgb', rgbTriplet(tokens['text-muted'])],
+    ['secondary-bg', tokens['surface-2']],
+    ['secondary-bg-rgb', rgbTriplet(tokens['surface-2'])],
+    ['tertiary-bg', tokens['surface-1']],
+    ['tertiary-bg-rgb', rgbTriplet(tokens['surface-1'])],
+    ['border-color', tokens.border],
+    ['link-color', tokens.link],
+    ['link-color-rgb', rgbTriplet(tokens.link)],
+    ['link-hover-color', linkHover],
+    ['link-hover-color-rgb', rgbTriplet(linkHover)],
+    ['focus-ring-color', `rgba(${rgbTriplet(tokens['focus-ring'])}, 0.25)`]
+  ];
+}
+
+/**
+ * Bootstrap's button-variant() and button-outline-variant() mixins as
+ * --bs-btn-* overrides (compiled Bootstrap bakes these in at build time)
+ */
+function buttonVariables(hex) {
+  const color = colorContrast(hex);
+  const light = color === WHITE;
+  const hoverBg = light ? shade(hex, 0.15) : tint(hex, 0.15);
+  const activeBg = light ? shade(hex, 0.2) : tint(hex, 0.2);
+
+  return {
+    solid: [
+      ['color', color],
+      ['bg', hex],
+      ['border-color', hex],
+      ['hover-color', colorContrast(hoverBg)],
+      ['hover-bg', hoverBg],
+      ['hover-border-color', light ? shade(hex, 0.2) : tint(hex, 0.1)],
+      ['focus-shadow-rgb', rgbTriplet(mixColors(hex, color, 0.15))],
+      ['active-color', colorContrast(activeBg)],
+      ['active-bg', activeBg],
+      ['active-border-color', light ? shade(hex, 0.25) : tint(hex, 0.1)],
+      ['disabled-color', color],
+      ['disabled-bg', hex],
+      ['disabled-border-color', hex]
+    ],
+    outline: [
+      ['color', hex],
+      ['border-color', hex],
+      ['hover-color', color],
+      ['hover-bg', hex],
+      ['hover-border-color', hex],
+      ['focus-shadow-rgb', rgbTriplet(hex)],
+      ['active-color', color],
+      ['active-bg', hex],
+      ['active-border-color', hex],
+      ['disabled-color', hex],
+      ['disabled-bg', 'transparent'],
+      ['disabled-border-color', hex]
+    ]
+  };
+}
+
+function rule(selector, declarations) {
+  return [
+    `${selector} {`,
+    ...declarations.map(([property, value]) => `  ${property}: ${value};`),
+    '}'
+  ].join('\n');
+}
+
+const bsVariables = (pairs) => pairs.map(([name, value]) => [`--bs-${name}`, value]);
+
+/**
+ * Build the CSS override stylesheet
+ */
+function buildCSS(colors, theme) {
+  const primary = colors.primary;
+  const onPrimary = colorContrast(primary);
+  const primaryRing = 'var(--bs-focus-ring-color)';
+
+  const sections = [
+    '/* Bootstrap 5.3 theme generated by Node Swatch. Load after bootstrap.css. */',
+    rule(':root,\n[data-bs-theme=light]', bsVariables([
+      ...BOOTSTRAP_THEME_COLORS.flatMap(name => colorVariables(name, colors[name], 'light')),
+      ...schemeVariables(theme.light, 'light'),
+      ['focus-ring-width', '0.25rem'],
+      ['focus-ring-opacity', '0.25']
+    ])),
+    rule('[data-bs-theme=dark]', bsVariables([
+      ...BOOTSTRAP_THEME_COLORS.flatMap(name => colorVariables(name, colors[name], 'dark')),
+      ...schemeVariables(theme.dark, 'dark')
+    ]))
+  ];
+
+  BOOTSTRAP_THEME_COLORS.forEach(name => {
+    const { solid, outline } = buttonVariables(colors[name]);
+    sections.push(rule(`.btn-${name}`, solid.map(([key, value]) => [`--bs-btn-${key}`, value])));
+    sections.push(rule(`.btn-outline-${name}`, outline.map(([key, value]) => [`--bs-btn-${key}`, value])));
+    sections.push(rule(`.text-bg-${name}`, [['color', `${colorContrast(colors[name])} !important`]]));
+  });
+
+  sections.push(
+    rule('.progress,\n.progress-stacked', [['--bs-progress-bar-bg', primary], ['--bs-progress-bar-color', onPrimary]]),
+    rule('.nav-pills', [['--bs-nav-pills-link-active-bg', primary], ['--bs-nav-pills-link-active-color', onPrimary]]),
+    rule('.pagination', [
+      ['--bs-pagination-active-bg', primary],
+      ['--bs-pagination-active-border-color', primary],
+      ['--bs-pagination-active-color', onPrimary],
+      ['--bs-pagination-focus-box-shadow', `0 0 0 0.25rem ${primaryRing}`]
+    ]),
+    rule('.list-group', [
+      ['--bs-list-group-active-bg', primary],
+      ['--bs-list-group-active-border-color', primary],
+      ['--bs-list-group-active-color', onPrimary]
+    ]),
+    rule('.dropdown-menu', [['--bs-dropdown-link-active-bg', primary], ['--bs-dropdown-link-active-color', onPrimary]]),
+    // Input borders use the stronger border token so controls meet 3:1 against the page
+    rule('.form-control,\n.form-select,\n.form-check-input', [['border-color', theme.light['border-strong']]]),
+    rule('[data-bs-theme=dark] .form-control,\n[data-bs-theme=dark] .form-select,\n[data-bs-theme=dark] .form-check-input', [
+      ['border-color', theme.dark['border-strong']]
+    ]),
+    rule('.form-control:focus,\n.form-select:focus,\n.form-check-input:focus', [
+      ['border-color', tint(primary, 0.5)],
+      ['box-shadow', `0 0 0 0.25rem ${primaryRing}`]
+    ]),
+    rule('.form-check-input:checked', [['background-color', primary], ['border-color', primary]]),
+    rule('.btn-close:focus', [['box-shadow', `0 0 0 0.25rem ${primaryRing}`]])
+  );
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Build a _variables.scss to import before Bootstrap's own Sass. Bootstrap
+ * derives the -rgb, -text-emphasis, -subtle, button and component values from these.
+ */
+function buildSCSS(colors, theme) {
+  const variable = (name, value) => `$${name}: ${value};`;
+  const scheme = (tokens, suffix) => [
+    variable(`body-bg${suffix}`, tokens.background),
+    variable(`body-color${suffix}`, tokens.text),
+    variable(`body-emphasis-color${suffix}`, tokens.text),
+    variable(`body-secondary-color${suffix}`, tokens['text-muted']),
+    variable(`body-secondary-bg${suffix}`, tokens['surface-2']),
+    variable(`body-tertiary-bg${suffix}`, tokens['surface-1']),
+    variable(`border-color${suffix}`, tokens.border),
+    variable(`link-color${suffix}`, tokens.link),
+    variable(`link-hover-color${suffix}`, suffix ? tint(tokens.link, 0.2) : shade(tokens.link, 0.2))
+  ];
+
+  return [
+    '// Bootstrap 5.3 variable overrides generated by Node Swatch.',
+    '// Import before Bootstrap:',
+    '//   @import "variables";',
+    '//   @import "bootstrap/scss/bootstrap";',
+    '',
+    '// Theme colors',
+    ...BOOTSTRAP_THEME_COLORS.map(name => variable(name, colors[name])),
+    '',
+    '// Body, borders and links',
+    ...scheme(theme.light, ''),
+    variable('focus-ring-color', `rgba(${theme.light['focus-ring']}, 0.25)`),
+    '',
+    '// Dark color mode',
+    ...scheme(theme.dark, '-dark'),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate a Bootstrap 5.3 theme from a palette
+ * @param {Object} palette - Palette with colors [{hex, role}]
+ * @returns {{colors: Object<string, string>, css: string, scss: string}}
+ *   Theme color hexes, an override stylesheet and a _variables.scss
+ */
+export function generateBootstrapTheme(palette) {
+  const theme = generateTheme(palette);
+  const colors = themeColors(palette, theme);
+
+  return {
+    colors,
+    css: buildCSS(colors, theme),
+    scss: buildSCSS(colors, theme)
+  };
+}
@@ -5,25 +5,96 @@
 import {
   hexToHsl,
   hslToHex,
+  hexToOklch,
+  oklchToHex,
+  hexToLch,
+  lchToHex,
   randomHsl,
-  normalizeHue
+  randomSeed,
+  createRng,
+  normalizeHue,
+  hueDistance,
+  round
 } from '../utils/colorUtils.js';
+import { buildContrastReport, repairPalette } from './accessibility.js';
+import { generateScale } from './scaleGenerator.js';
+import { deriveSemanticColors, isSemanticRole } from './semanticColors.js';
+import { nameColor } from './colorNames.js';
+import {
+  normalizeConstraints,
+  allowedHues,
+  constrainedRanges,
+  withAllowedHue,
+  constrainColors,
+  findViolations,
+  ConstraintError,
+  MAX_CONSTRAINT_ATTEMPTS
+} from './paletteConstraints.js';
+import { registerHarmony, getHarmony, resolveHarmonyParams, HARMONY_TYPES } from './harmonyRegistry.js';
+
+/**
+ * Available harmony types: the built-ins below plus any registered later
+ */
+export { HARMONY_TYPES };
+
+/**
+ * Color spaces the harmonies can rotate hue in
+ */
+export const COLOR_SPACES = ['hsl', 'oklch', 'lab'];
+
+/**
+ * Perceptual spaces expressed as the {h, s, l} shape the harmony generators work on.
+ * l maps to perceptual lightness (0-100) and s to chroma as a percentage of
+ * chromaScale, so hue rotations keep lightness and chroma constant.
+ */
+const PERCEPTUAL_SPACES = {
+  oklch: {
+    chromaScale: 0.37,
+    fromHex(hex) {
+      const { l, c, h } = hexToOklch(hex);
+      return { h, s: c / this.chromaScale * 100, l: l * 100 };
+    },
+    toHex({ h, s, l }) {
+      return oklchToHex(l / 100, s / 100 * this.chromaScale, h);
+    }
+  },
+  lab: {
+    chromaScale: 150,
+    fromHex(hex) {
+      const { l, c, h } = hexToLch(hex);
+      return { h, s: c / this.chromaScale * 100, l };
+    },
+    toHex({ h, s, l }) {
+      return lchToHex(l, s / 100 * this.chromaScale, h);
+    }
+  }
+};
+
+/**
+ * Round OKLCH values for API output
+ * @param {string} hex - Hex color
+ * @returns {{l: number, c: number, h: number}}
+ */
+function roundedOklch(hex) {
+  const { l, c, h } = hexToOklch(hex);
+  return {
+    l: round(l, 3),
+    c: round(c, 3),
+    h: round(h, 1)
+  };
+}
 
 /**
- * Available harmony types
+ * Add a 50-950 tint/shade scale to each color
+ * @param {Array<Object>} colors - Palette colors
+ * @returns {Array<Object>}
  */
-export const HARMONY_TYPES = [
-  'complementary',
-  'analogous',
-  'triadic',
-  'split-complementary',
-  'tetradic',
-  'monochromatic',
-  'square',
-  'double-complementary',
-  'custom',
-  'random'
-];
+function withScales(colors) {
+  return colors.map(color => {
+    const { step, scale } = generateScale(color.hex);
+    return { ...color, scaleStep: step, scale };
+  });
+}
 
 /**
  * Generate a complementary palette (base + 180° opposite)
@@ -231,87 +302,406 @@ function generateCustom(baseHsl, count, angle = 45) {
 /**
  * Generate a random palette
  */
-function generateRandom(baseHsl, count) {
+function generateRandom(baseHsl, count, rng, ranges) {
   const colors = [baseHsl];
 
   for (let i = 1; i < count; i++) {
-    colors.push(randomHsl());
+    colors.push(randomHsl(rng, ranges));
   }
 
   return colors;
 }
 
+registerHarmony('complementary', {
+  description: 'Colors opposite each other on the color wheel (180° apart). Creates high contrast and vibrant combinations.',
+  generate: generateComplementary
+});
+
+registerHarmony('analogous', {
+  description: 'Colors adjacent to each other on the wheel (±30°). Creates harmonious, serene combinations.',
+  generate: generateAnalogous
+});
+
+registerHarmony('triadic', {
+  description: 'Three colors equally spaced on the wheel (120° apart). Offers vibrant variety while maintaining balance.',
+  generate: generateTriadic
+});
+
+registerHarmony('split-complementary', {
+  description: 'Base color plus two colors adjacent to its complement. Less tension than complementary.',
+  generate: generateSplitComplementary
+});
+
+registerHarmony('tetradic', {
+  description: 'Four colors in a rectangular pattern (60°/180°/240°). Rich color scheme with plenty of possibilities.',
+  generate: generateTetradic
+});
+
+registerHarmony('monochromatic', {
+  description: 'Single hue with varying saturation and lightness. Clean, elegant, and cohesive.',
+  generate: generateMonochromatic
+});
+
+registerHarmony('square', {
+  description: 'Four colors evenly spaced (90° apart). Bold and dynamic with equal visual weight.',
+  generate: generateSquare
+});
+
+registerHarmony('double-complementary', {
+  description: 'Two complementary pairs (30° apart). Complex but rich color scheme.',
+  generate: generateDoubleComplementary
+});
+
+registerHarmony('custom', {
+  label: 'Custom Angle',
+  description: 'User-defined angle offset between colors. Full control over the color relationships.',
+  params: {
+    angle: { type: 'number', label: 'Angle Offset (degrees)', default: 45, min: 1, max: 359, step: 1 }
+  },
+  generate: (baseHsl, count, { angle }) => generateCustom(baseHsl, count, angle)
+});
+
+registerHarmony('random', {
+  description: 'Completely random colors with no specific relationship.',
+  generate: (baseHsl, count, params, { rng, ranges }) => generateRandom(baseHsl, count, rng, ranges)
+});
+
+/**
+ * Run a harmony generator; unknown harmonies fall back to random
+ * @param {string} harmony - Harmony type
+ * @param {Object} baseHsl - Base color in the working {h, s, l} space
+ * @param {number} count - Number of colors
+ * @param {Object} params - Resolved harmony parameters
+ * @param {Function} rng - Seeded PRNG
+ * @param {Object} [ranges] - Saturation and lightness ranges for random colors
+ * @returns {Array<Object>} Colors in the working space
+ */
+function harmonyColors(harmony, baseHsl, count, params, rng, ranges) {
+  const definition = getHarmony(harmony) || getHarmony('random');
+  const colors = definition.generate(baseHsl, count, params, { rng, ranges });
+
+  if (!Array.isArray(colors) || colors.length < count) {
+    throw new Error(`Harmony "${definition.name}" returned fewer than ${count} colors`);
+  }
+
+  return colors.slice(0, count);
+}
+
+/**
+ * Constraint attempts between fresh starts from newly generated harmony colors
+ */
+const CONSTRAINT_RESTART_INTERVAL = 20;
+
+/**
+ * Adjust harmony colors to meet generation constraints. Colors still breaking
+ * them keep their harmony hue but get new saturation and lightness on the next
+ * attempt, with a fresh set of harmony colors every so often.
+ * @param {Array<Object>} colors - Harmony colors ({hex, hsl, role})
+ * @param {Object} limits - Normalized constraints
+ * @param {Object} context
+ * @param {Object<number, string>} context.locked - Locked colors, which are never adjusted
+ * @param {Function} context.rng - Seeded PRNG
+ * @param {Function} context.regenerate - Builds a fresh set of harmony colors
+ * @returns {{colors: Array<Object>, attempts: number}}
+ * @throws {ConstraintError} If locked colors break the constraints, or no attempt meets them
+ */
+function applyConstraints(colors, limits, { locked, rng, regenerate }) {
+  const fixed = colors.map((_, index) => index).filter(index => locked[index]);
+  let candidates = colors;
+  let jitter = [];
+  // Best attempt so far, kept whole so its violations describe one set of colors
+  let closest = null;
+
+  for (let attempt = 1; attempt <= MAX_CONSTRAINT_ATTEMPTS; attempt++) {
+    const hexes = constrainColors(candidates.map(color => color.hex), limits, { fixed, jitter });
+    const adjusted = candidates.map((color, index) => (
+      locked[index] ? color : { ...color, hex: hexes[index], hsl: hexToHsl(hexes[index]) }
+    ));
+
+    const violations = findViolations(hexes, limits);
+    if (violations.length === 0) {
+      return { colors: adjusted, attempts: attempt };
+    }
+
+    // Locked colors never change, so no retry can fix what they break
+    const lockedViolations = violations.filter(violation =>
+      (violation.indices || [violation.index]).every(index => locked[index]));
+    if (lockedViolations.length > 0) {
+      throw new ConstraintError('Locked colors break the constraints', lockedViolations, attempt);
+    }
+
+    if (!closest || violations.length < closest.violations.length) {
+      closest = { hexes, violations };
+    }
+
+    if (attempt % CONSTRAINT_RESTART_INTERVAL === 0) {
+      candidates = regenerate();
+      jitter = [];
+    } else {
+      // Redraw one color of each offending pair, preferring the later, unlocked one
+      const offenders = new Set(violations.map(({ index, indices }) => {
+        if (!indices) return index;
+        return locked[indices[1]] ? indices[0] : indices[1];
+      }));
+      candidates = adjusted;
+      jitter = adjusted.map((_, index) => {
+        if (!offenders.has(index)) return undefined;
+        const { s, l } = randomHsl(rng, limits);
+        return { s, l };
+      });
+    }
+  }
+
+  throw new ConstraintError(
+    `No palette met the constraints in ${MAX_CONSTRAINT_ATTEMPTS} attempts`,
+    closest.violations,
+    MAX_CONSTRAINT_ATTEMPTS
+  );
+}
+
 /**
  * Generate a color palette based on harmony type
  * @param {Object} options
  * @param {string} options.harmony - Harmony type
  * @param {number} options.count - Number of colors (2-6)
  * @param {string} [options.baseColor] - Base color in hex (optional)
- * @param {number} [options.angle] - Custom angle for 'custom' harmony
+ * @param {number} [options.angle] - Custom angle for 'custom' harmony (shorthand for params.angle)
+ * @param {Object} [options.params] - Harmony parameter values keyed by name; values outside
+ *   the harmony's schema are ignored and missing ones take their defaults
+ * @param {string} [options.space] - Space to rotate hue in: 'hsl', 'oklch' or 'lab'
+ * @param {string|number} [options.seed] - PRNG seed for reproducible output (random if omitted)
+ * @param {boolean} [options.contrast] - Attach a pairwise WCAG/APCA contrast report
+ * @param {boolean} [options.scales] - Expand each color into a 50-950 tint/shade scale
+ * @param {string} [options.accessible] - Repair colors to meet 'AA' or 'AAA' text contrast
+ * @param {string} [options.background] - Background hex the repair targets (default: black/white text)
+ * @param {Object<number, string>} [options.locked] - Hex colors to keep fixed, keyed by index
+ * @param {boolean} [options.semantic] - Append success, warning, danger and info colors
+ * @param {Object} [options.constraints] - Lightness, saturation, hue and distinctness limits
+ *   for the harmony colors (see normalizeConstraints); status colors are exempt
  * @returns {Object} Palette with colors array and metadata
+ * @throws {ConstraintError} If the constraints can't be met
  */
 export function generatePalette(options) {
   const {
     harmony = 'random',
     count = 5,
     baseColor,
-    angle = 45
+    angle,
+    params = {},
+    space = 'hsl',
+    seed = randomSeed(),
+    contrast = false,
+    scales = false,
+    accessible,
+    background,
+    locked = {},
+    semantic = false,
+    constraints
   } = options;
 
+  const rng = createRng(seed);
+  const harmonyParams = resolveHarmonyParams(harmony, { angle, ...params });
+
+  // Constraints narrow the ranges random colors are drawn from
+  const limits = constraints ? normalizeConstraints(constraints) : null;
+  const hues = limits ? allowedHues(limits.excludeHues) : null;
+  if (hues && hues.length === 0) {
+    throw new ConstraintError('Every hue is excluded', [], 0);
+  }
+  const ranges = limits ? constrainedRanges(limits) : undefined;
+
   // Validate count
   const colorCount = Math.max(2, Math.min(6, parseInt(count) || 5));
 
-  // Get or generate base color in HSL
-  const baseHsl = baseColor ? hexToHsl(baseColor) : randomHsl();
-
-  // Generate colors based on harmony type
-  let hslColors;
-
-  switch (harmony.toLowerCase()) {
-    case 'complementary':
-      hslColors = generateComplementary(baseHsl, colorCount);
-      break;
-    case 'analogous':
-      hslColors = generateAnalogous(baseHsl, colorCount);
-      break;
-    case 'triadic':
-      hslColors = generateTriadic(baseHsl, colorCount);
-      break;
-    case 'split-complementary':
-      hslColors = generateSplitComplementary(baseHsl, colorCount);
-      break;
-    case 'tetradic':
-      hslColors = generateTetradic(baseHsl, colorCount);
-      break;
-    case 'monochromatic':
-      hslColors = generateMonochromatic(baseHsl, colorCount);
-      break;
-    case 'square':
-      hslColors = generateSquare(baseHsl, colorCount);
-      break;
-    case 'double-complementary':
-      hslColors = generateDoubleComplementary(baseHsl, colorCount);
-      break;
-    case 'custom':
-      hslColors = generateCustom(baseHsl, colorCount, angle);
-      break;
-    case 'random':
-    default:
-      hslColors = generateRandom(baseHsl, colorCount);
-      break;
+  // Get or generate base color in HSL, or in the perceptual working space
+  const perceptual = PERCEPTUAL_SPACES[space.toLowerCase()];
+  const fromHex = (hex) => (perceptual ? perceptual.fromHex(hex) : hexToHsl(hex));
+  const randomBase = () => {
+    const hsl = hues ? withAllowedHue(randomHsl(rng, ranges), hues) : randomHsl(rng, ranges);
+    return perceptual ? perceptual.fromHex(hslToHex(hsl.h, hsl.s, hsl.l)) : hsl;
+  };
+  let baseHsl = baseColor ? fromHex(baseColor) : randomBase();
+
+  // Locked colors stay fixed; a locked primary is the base
+  const lockedIndices = Object.keys(locked)
+    .map(Number)
+    .filter(index => index >= 0 && index < colorCount);
+  if (locked[0]) {
+    baseHsl = fromHex(locked[0]);
   }
 
-  // Convert to hex and build response
-  const colors = hslColors.map((hsl, index) => ({
-    hex: hslToHex(hsl.h, hsl.s, hsl.l),
-    hsl: hsl,
-    role: index === 0 ? 'primary' : `accent-${index}`
+  const buildColors = (base) => {
+    let hslColors = harmonyColors(harmony, base, colorCount, harmonyParams, rng, ranges);
+
+    // With only accents locked, rotate the base so the harmony passes through
+    // the first locked accent's hue
+    const anchor = lockedIndices.find(index => index > 0);
+    if (!locked[0] && anchor !== undefined && harmony.toLowerCase() !== 'random') {
+      const delta = fromHex(locked[anchor]).h - hslColors[anchor].h;
+      const rotated = { ...base, h: normalizeHue(base.h + delta) };
+      hslColors = harmonyColors(harmony, rotated, colorCount, harmonyParams, rng, ranges);
+    }
+
+    // Each locked color takes the place of the harmony color nearest its hue
+    // (its own slot on a tie), and the unlocked slots get the harmony colors
+    // left over, in order
+    const claimed = new Set();
+    lockedIndices.forEach(index => {
+      const hue = fromHex(locked[index]).h;
+      const distance = (i) => hueDistance(hslColors[i].h, hue);
+      let nearest = claimed.has(index) ? -1 : index;
+      hslColors.forEach((_, i) => {
+        if (claimed.has(i)) return;
+        if (nearest < 0 || distance(i) < distance(nearest) - 0.5) {
+          nearest = i;
+        }
+      });
+      claimed.add(nearest);
+    });
+    const leftover = hslColors.filter((_, i) => !claimed.has(i));
+
+    // Convert to hex and build response
+    return hslColors.map((_, index) => {
+      const role = index === 0 ? 'primary' : `accent-${index}`;
+      if (locked[index]) {
+        return { hex: locked[index], hsl: hexToHsl(locked[index]), role };
+      }
+
+      const hsl = leftover.shift();
+      const hex = perceptual ? perceptual.toHex(hsl) : hslToHex(hsl.h, hsl.s, hsl.l);
+      return {
+        hex,
+        hsl: perceptual ? hexToHsl(hex) : hsl,
+        role
+      };
+    });
+  };
+
+  let colors = buildColors(baseHsl);
+
+  let attempts;
+  if (limits) {
+    // A random base is redrawn on each retry; a given or locked one stays put
+    const fixedBase = baseColor || locked[0];
+    ({ colors, attempts } = applyConstraints(colors, limits, {
+      locked,
+      rng,
+      regenerate: () => buildColors(fixedBase ? baseHsl : randomBase())
+    }));
+  }
+
+  // Status colors follow the harmony colors, so indices and locks are unaffected
+  if (semantic) {
+    colors = [...colors, ...deriveSemanticColors(colors)];
+  }
+
+  let repair;
+  if (accessible) {
+    ({ colors, report: repair } = repairPalette(colors, {
+      level: accessible,
+      background,
+      fixed: lockedIndices
+    }));
+
+    if (limits) {
+      const violations = findViolations(colors.slice(0, colorCount).map(color => color.hex), limits);
+      if (violations.length > 0) {
+        throw new ConstraintError(
+          `Repairing contrast to ${accessible} moves colors outside the constraints`,
+          violations,
+          attempts
+        );
+      }
+    }
+  }
+
+  // OKLCH alongside HSL, and the nearest color name, for every final color
+  colors = colors.map(({ hex, hsl, role, source }, index) => ({
+    hex,
+    hsl,
+    oklch: roundedOklch(hex),
+    role,
+    name: nameColor(hex).name,
+    ...(source !== undefined ? { source } : {}),
+    ...(locked[index] ? { locked: true } : {})
   }));
 
-  return {
+  if (scales) {
+    colors = withScales(colors);
+  }
+
+  const palette = {
     harmony: harmony.toLowerCase(),
     count: colorCount,
+    space: perceptual ? space.toLowerCase() : 'hsl',
     baseColor: colors[0].hex,
+    seed: String(seed),
     colors
   };
+
+  if (Object.keys(harmonyParams).length > 0) {
+    palette.params = harmonyParams;
+  }
+
+  if (limits) {
+    palette.constraints = { ...limits, attempts };
+  }
+
+  if (repair) {
+    palette.accessible = repair;
+  }
+
+  if (contrast) {
+    palette.contrast = buildContrastReport(colors);
+  }
+
+  return palette;
+}
+
+/**
+ * Build a palette in the generatePalette response shape from existing colors
+ * @param {Array<{hex: string, role?: string}>} sourceColors - Colors to use, in order (up to 6,
+ *   plus any success/warning/danger/info colors)
+ * @param {Object} [options]
+ * @param {string} [options.harmony] - Harmony label (default: 'custom')
+ * @param {string} [options.name] - Palette name
+ * @param {boolean} [options.contrast] - Attach a pairwise WCAG/APCA contrast report
+ * @param {boolean} [options.scales] - Expand each color into a 50-950 tint/shade scale
+ * @returns {Object} Palette with colors array and metadata
+ */
+export function paletteFromColors(sourceColors, options = {}) {
+  const { harmony = 'custom', name, contrast = false, scales = false } = options;
+
+  const baseColors = sourceColors.filter(color => !isSemanticRole(color.role)).slice(0, 6);
+  const statusColors = sourceColors.filter(color => isSemanticRole(color.role));
+
+  let colors = [...baseColors, ...statusColors].map((color, index) => ({
+    hex: color.hex,
+    hsl: hexToHsl(color.hex),
+    oklch: roundedOklch(color.hex),
+    role: color.role || (index === 0 ? 'primary' : `accent-${index}`),
+    name: nameColor(color.hex).name
+  }));
+
+  if (scales) {
+    colors = withScales(colors);
+  }
+
+  const palette = {
+    harmony,
+    count: baseColors.length,
+    space: 'hsl',
+    baseColor: colors[0].hex,
+    colors
+  };
+
+  if (name) {
+    palette.name = name;
+  }
+
+  if (contrast) {
+    palette.contrast = buildContrastReport(colors);
+  }
+
+  return palette;
 }
@@ -0,0 +1,181 @@
+/**
+ * Single-color conversions to every supported space, and color operations
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  rgbToHsv,
+  rgbToHwb,
+  rgbToCmyk,
+  rgbToXyz,
+  rgbToLab,
+  rgbToLch,
+  rgbToOklab,
+  rgbToOklch,
+  oklchToHex,
+  hslToRgb,
+  normalizeHue,
+  relativeLuminance,
+  round
+} from '../utils/colorUtils.js';
+import { nameColor } from './colorNames.js';
+import { mixColors } from './gradientGenerator.js';
+
+function roundAll(values, places) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, round(value, places)]));
+}
+
+/**
+ * Unrounded HSL, derived from HSV (rgbToHsl rounds to whole numbers)
+ * @returns {{h: number, s: number, l: number}} h: 0-360, s and l: 0-100
+ */
+function exactHsl({ r, g, b }) {
+  const { h, s, v } = rgbToHsv(r, g, b);
+  const value = v / 100;
+  const l = value * (1 - s / 200);
+  const sl = l === 0 || l === 1 ? 0 : (value - l) / Math.min(l, 1 - l);
+  return { h, s: sl * 100, l: l * 100 };
+}
+
+/**
+ * Describe a color in every supported space
+ * @param {string} hex - Hex color
+ * @returns {Object} RGB, HSL, HSV, HWB, CMYK, XYZ (D65), CIELAB/LCh (D50), OKLab/OKLCH,
+ *   CSS strings, WCAG relative luminance and the nearest color name
+ */
+export function describeColor(hex) {
+  const rgb = hexToRgb(hex);
+  const { r, g, b } = rgb;
+
+  const hsl = roundAll(exactHsl(rgb), 1);
+  const hwb = roundAll(rgbToHwb(r, g, b), 1);
+  const xyz = roundAll(rgbToXyz(r, g, b), 4);
+  const lab = roundAll(rgbToLab(r, g, b), 2);
+  const lch = roundAll(rgbToLch(r, g, b), 2);
+  const oklch = rgbToOklch(r, g, b);
+
+  return {
+    hex,
+    rgb,
+    hsl,
+    hsv: roundAll(rgbToHsv(r, g, b), 1),
+    hwb,
+    cmyk: roundAll(rgbToCmyk(r, g, b), 1),
+    xyz,
+    lab,
+    lch,
+    oklab: roundAll(rgbToOklab(r, g, b), 4),
+    oklch: { l: round(oklch.l, 4), c: round(oklch.c, 4), h: round(oklch.h, 2) },
+    css: {
+      rgb: `rgb(${r} ${g} ${b})`,
+      hsl: `hsl(${hsl.h} ${hsl.s}% ${hsl.l}%)`,
+      hwb: `hwb(${hwb.h} ${hwb.w}% ${hwb.b}%)`,
+      lab: `lab(${lab.l}% ${lab.a} ${lab.b})`,
+      lch: `lch(${lch.l}% ${lch.c} ${lch.h})`,
+      oklch: `oklch(${round(oklch.l * 100, 2)}% ${round(oklch.c, 4)} ${round(oklch.h, 2)})`,
+      xyz: `color(xyz-d65 ${xyz.x} ${xyz.y} ${xyz.z})`
+    },
+    luminance: round(relativeLuminance(hex), 4),
+    name: nameColor(hex)
+  };
+}
+
+/**
+ * Shift one HSL channel of a color, clamped to 0-100
+ */
+function adjustHsl(hex, channel, delta) {
+  const hsl = exactHsl(hexToRgb(hex));
+  hsl[channel] = Math.max(0, Math.min(100, hsl[channel] + delta));
+  const { r, g, b } = hslToRgb(hsl.h, hsl.s, hsl.l);
+  return rgbToHex(r, g, b);
+}
+
+/**
+ * Color operations. Each lists its parameters (a number range with a default,
+ * a required second color, or one of GRADIENT_SPACES) and how it is applied.
+ * Lighten, darken, saturate and desaturate work in HSL percentage points like
+ * Sass; tint and shade mix with white or black in sRGB like Bootstrap.
+ */
+const OPERATIONS = {
+  lighten: {
+    params: { amount: { type: 'number', min: 0, max: 100, default: 10 } },
+    apply: (hex, { amount }) => adjustHsl(hex, 'l', amount)
+  },
+  darken: {
+    params: { amount: { type: 'number', min: 0, max: 100, default: 10 } },
+    apply: (hex, { amount }) => adjustHsl(hex, 'l', -amount)
+  },
+  saturate: {
+    params: { amount: { type: 'number', min: 0, max: 100, default: 10 } },
+    apply: (hex, { amount }) => adjustHsl(hex, 's', amount)
+  },
+  desaturate: {
+    params: { amount: { type: 'number', min: 0, max: 100, default: 10 } },
+    apply: (hex, { amount }) => adjustHsl(hex, 's', -amount)
+  },
+  rotate: {
+    params: { degrees: { type: 'number', min: -360, max: 360, default: 180 } },
+    apply: (hex, { degrees }) => {
+      const hsl = exactHsl(hexToRgb(hex));
+      const { r, g, b } = hslToRgb(normalizeHue(hsl.h + degrees), hsl.s, hsl.l);
+      return rgbToHex(r, g, b);
+    }
+  },
+  mix: {
+    params: {
+      with: { type: 'color' },
+      ratio: { type: 'number', min: 0, max: 1, default: 0.5 },
+      space: { type: 'space', default: 'srgb' }
+    },
+    apply: (hex, params) => mixColors(hex, params.with, params.ratio, params.space)
+  },
+  invert: {
+    params: {},
+    apply: (hex) => {
+      const { r, g, b } = hexToRgb(hex);
+      return rgbToHex(255 - r, 255 - g, 255 - b);
+    }
+  },
+  grayscale: {
+    params: {},
+    // Dropping OKLCH chroma keeps perceived lightness, unlike HSL desaturation
+    apply: (hex) => {
+      const { r, g, b } = hexToRgb(hex);
+      return oklchToHex(rgbToOklch(r, g, b).l, 0, 0);
+    }
+  },
+  tint: {
+    params: { amount: { type: 'number', min: 0, max: 100, default: 10 } },
+    apply: (hex, { amount }) => mixColors(hex, '#ffffff', amount / 100)
+  },
+  shade: {
+    params: { amount: { type: 'number', min: 0, max: 100, default: 10 } },
+    apply: (hex, { amount }) => mixColors(hex, '#000000', amount / 100)
+  }
+};
+
+/**
+ * Available color operations
+ */
+export const COLOR_OPERATIONS = Object.keys(OPERATIONS);
+
+/**
+ * Parameter definitions of an operation
+ * @param {string} operation - One of COLOR_OPERATIONS
+ * @returns {Object<string, {type: string, min?: number, max?: number, default?: *}>}
+ */
+export function operationParams(operation) {
+  return OPERATIONS[operation].params;
+}
+
+/**
+ * Apply an operation to a color
+ * @param {string} hex - Input color
+ * @param {string} operation - One of COLOR_OPERATIONS
+ * @param {Object} params - Validated parameters (see operationParams)
+ * @returns {string} Resulting hex color
+ */
+export function applyColorOperation(hex, operation, params) {
+  return OPERATIONS[operation].apply(hex, params);
+}
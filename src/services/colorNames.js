@@ -0,0 +1,177 @@
+/**
+ * Human-readable names for colors: the nearest entry in the CSS named colors
+ * plus a bundled dictionary of common paint, pigment and design color names
+ */
+
+import { CSS_NAMED_COLORS, deltaE2000 } from '../utils/colorUtils.js';
+
+/**
+ * Common color names beyond the CSS keywords
+ */
+const COLOR_DICTIONARY = {
+  // Reds and pinks
+  'Alizarin': '#e32636', 'Amaranth': '#e52b50', 'Baby Pink': '#f4c2c2', 'Blush': '#de5d83',
+  'Brick Red': '#cb4154', 'Bubblegum': '#ffc1cc', 'Burgundy': '#800020', 'Candy Apple Red': '#ff0800',
+  'Cardinal': '#c41e3a', 'Carmine': '#960018', 'Carnation': '#ffa6c9', 'Cerise': '#de3163',
+  'Cherry': '#d2042d', 'Cinnabar': '#e44d2e', 'Claret': '#7f1734', 'Fandango': '#b53389',
+  'Fire Engine Red': '#ce2029', 'Flamingo': '#fc8eac', 'Garnet': '#733635', 'Hot Magenta': '#ff1dce',
+  'Mulberry': '#c54b8c', 'Old Rose': '#c08081', 'Orchid Pink': '#f2bdcd', 'Pastel Pink': '#dea5a4',
+  'Puce': '#cc8899', 'Raspberry': '#e30b5c', 'Razzmatazz': '#e3256b', 'Rose': '#ff007f',
+  'Rosewood': '#65000b', 'Ruby': '#e0115f', 'Scarlet': '#ff2400', 'Shocking Pink': '#fc0fc0',
+  'Terracotta': '#e2725b', 'Vermilion': '#e34234', 'Watermelon': '#fc6c85', 'Wine': '#722f37',
+
+  // Oranges and browns
+  'Amber': '#ffbf00', 'Apricot': '#fbceb1', 'Bronze': '#cd7f32', 'Burnt Orange': '#cc5500',
+  'Burnt Sienna': '#e97451', 'Burnt Umber': '#8a3324', 'Butterscotch': '#e3963e', 'Camel': '#c19a6b',
+  'Caramel': '#c68e17', 'Chestnut': '#954535', 'Coffee': '#6f4e37', 'Cognac': '#9a463d',
+  'Copper': '#b87333', 'Espresso': '#4b3621', 'Fawn': '#e5aa70', 'Gamboge': '#e49b0f',
+  'Harvest Gold': '#da9100', 'Mahogany': '#c04000', 'Marigold': '#eaa221', 'Melon': '#fdbcb4',
+  'Mocha': '#967969', 'Ochre': '#cc7722', 'Peach': '#ffe5b4', 'Persimmon': '#ec5800',
+  'Pumpkin': '#ff7518', 'Raw Sienna': '#d68a59', 'Raw Umber': '#826644', 'Russet': '#80461b',
+  'Rust': '#b7410e', 'Salmon Pink': '#ff91a4', 'Sepia': '#704214', 'Tangerine': '#f28500',
+  'Taupe': '#483c32', 'Tawny': '#cd5700', 'Umber': '#635147', 'Walnut': '#773f1a',
+
+  // Creams, sands and yellows
+  'Banana': '#ffe135', 'Bone': '#e3dac9', 'Buff': '#f0dc82', 'Canary': '#ffff99',
+  'Champagne': '#f7e7ce', 'Citrine': '#e4d00a', 'Cream': '#fffdd0', 'Cyber Yellow': '#ffd300',
+  'Daffodil': '#ffff31', 'Dandelion': '#f0e130', 'Desert Sand': '#edc9af', 'Ecru': '#cdb891',
+  'Eggshell': '#f0ead6', 'Flax': '#eedc82', 'Jasmine': '#f8de7e', 'Lemon': '#fff700',
+  'Maize': '#fbec5d', 'Metallic Gold': '#d4af37', 'Mustard': '#ffdb58', 'Naples Yellow': '#fada5e',
+  'Old Gold': '#cfb53b', 'Parchment': '#f1e9d2', 'Pastel Yellow': '#fdfd96', 'Saffron': '#f4c430',
+  'Sand': '#c2b280', 'School Bus Yellow': '#ffd800', 'Straw': '#e4d96f', 'Vanilla': '#f3e5ab',
+  'Brass': '#b5a642',
+
+  // Greens
+  'Apple Green': '#8db600', 'Army Green': '#4b5320', 'Artichoke': '#8f9779', 'Asparagus': '#87a96b',
+  'Avocado': '#568203', 'Bottle Green': '#006a4e', 'British Racing Green': '#004225', 'Caribbean Green': '#00cc99',
+  'Castleton Green': '#00563f', 'Celadon': '#ace1af', 'Emerald': '#50c878', 'Fern Green': '#4f7942',
+  'Harlequin': '#3fff00', 'Hunter Green': '#355e3b', 'Jade': '#00a86b', 'Jungle Green': '#29ab87',
+  'Kelly Green': '#4cbb17', 'Laurel Green': '#a9ba9d', 'Malachite': '#0bda51', 'Mint': '#3eb489',
+  'Mint Green': '#98ff98', 'Moss Green': '#8a9a5b', 'Myrtle': '#21421e', 'Neon Green': '#39ff14',
+  'Olive Green': '#b5b35c', 'Pastel Green': '#77dd77', 'Pear': '#d1e231', 'Pine Green': '#01796f',
+  'Pistachio': '#93c572', 'Sage': '#bcb88a', 'Sap Green': '#507d2a', 'Seafoam Green': '#9fe2bf',
+  'Shamrock': '#009e60', 'Spring Bud': '#a7fc00', 'Tea Green': '#d0f0c0', 'Verdigris': '#43b3ae',
+  'Viridian': '#40826d',
+
+  // Blues and cyans
+  'Air Force Blue': '#5d8aa8', 'Baby Blue': '#89cff0', 'Baby Blue Eyes': '#a1caf1', 'Beau Blue': '#bcd4e6',
+  'Blue Gray': '#6699cc', 'Carolina Blue': '#4b9cd3', 'Celeste': '#b2ffff', 'Cerulean': '#007ba7',
+  'Cobalt': '#0047ab', 'Columbia Blue': '#c4d8e2', 'Cyan Process': '#00b7eb', 'Denim': '#1560bd',
+  'Egyptian Blue': '#1034a6', 'Electric Blue': '#7df9ff', 'Glaucous': '#6082b6', 'Ice Blue': '#99ffff',
+  'Independence': '#4c516d', 'International Klein Blue': '#002fa7', 'Lapis Lazuli': '#26619c', 'Maya Blue': '#73c2fb',
+  'Oxford Blue': '#002147', 'Pacific Blue': '#1ca9c9', 'Periwinkle': '#ccccff', 'Persian Blue': '#1c39bb',
+  'Petrol': '#005f6a', 'Prussian Blue': '#003153', 'Robin Egg Blue': '#00cccc', 'Sapphire': '#0f52ba',
+  'Space Cadet': '#1d2951', 'Teal Blue': '#367588', 'Tiffany Blue': '#0abab5', 'True Blue': '#2d68c4',
+  'Ultramarine': '#120a8f', 'Yale Blue': '#0f4d92',
+
+  // Purples
+  'Amethyst': '#9966cc', 'Boysenberry': '#873260', 'Byzantium': '#702963', 'Eggplant': '#614051',
+  'Electric Violet': '#8f00ff', 'Grape': '#6f2da8', 'Heliotrope': '#df73ff', 'Iris': '#5a4fcf',
+  'Lavender Gray': '#c4c3d0', 'Lavender Purple': '#967bb6', 'Lilac': '#c8a2c8', 'Mauve': '#e0b0ff',
+  'Mauve Taupe': '#915f6d', 'Palatinate Purple': '#682860', 'Pansy Purple': '#78184a', 'Pastel Purple': '#b39eb5',
+  'Psychedelic Purple': '#df00ff', 'Purple Heart': '#69359c', 'Rose Quartz': '#aa98a9', 'Royal Purple': '#7851a9',
+  'Tyrian Purple': '#66023c', 'Ultra Violet': '#645394', 'Wisteria': '#c9a0dc',
+
+  // Grays and near-blacks
+  'Alabaster': '#edeae0', 'Ash Gray': '#b2beb5', 'Battleship Gray': '#848482', 'Cadet Gray': '#91a3b0',
+  'Charcoal': '#36454f', 'Cool Gray': '#8c92ac', 'Davy\'s Gray': '#555555', 'Ebony': '#555d50',
+  'Eerie Black': '#1b1b1b', 'Gunmetal': '#2a3439', 'Jet': '#343434', 'Licorice': '#1a1110',
+  'Nickel': '#727472', 'Onyx': '#353839', 'Payne\'s Gray': '#536878', 'Pearl': '#eae0c8',
+  'Platinum': '#e5e4e2', 'Raisin Black': '#242124', 'Smoky Black': '#100c08', 'Taupe Gray': '#8b8589',
+  'Timberwolf': '#dbd7d2'
+};
+
+/**
+ * Words the CSS color keywords are built from, used to split 'lightsteelblue'
+ * into 'Light Steel Blue'
+ */
+const CSS_NAME_WORDS = [
+  'alice', 'almond', 'antique', 'aqua', 'aquamarine', 'azure', 'beige', 'bisque', 'black',
+  'blanched', 'blue', 'blush', 'brown', 'burlywood', 'cadet', 'chartreuse', 'chiffon',
+  'chocolate', 'coral', 'cornflower', 'cornsilk', 'cream', 'crimson', 'cyan', 'dark', 'deep', 'dim',
+  'dodger', 'drab', 'firebrick', 'floral', 'forest', 'fuchsia', 'gainsboro', 'ghost', 'gold',
+  'goldenrod', 'gray', 'green', 'honeydew', 'hot', 'indian', 'indigo', 'ivory', 'khaki', 'lace',
+  'lavender', 'lawn', 'lemon', 'light', 'lime', 'linen', 'magenta', 'maroon', 'medium',
+  'midnight', 'mint', 'misty', 'moccasin', 'navajo', 'navy', 'old', 'olive', 'orange', 'orchid',
+  'pale', 'papaya', 'peach', 'peru', 'pink', 'plum', 'powder', 'puff', 'purple', 'rebecca', 'red',
+  'rose', 'rosy', 'royal', 'saddle', 'salmon', 'sandy', 'sea', 'seashell', 'sienna',
+  'silver', 'sky', 'slate', 'smoke', 'snow', 'spring', 'steel', 'tan', 'teal', 'thistle',
+  'tomato', 'turquoise', 'violet', 'wheat', 'whip', 'white', 'yellow'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Split a CSS color keyword into title-cased words, longest known word first
+ * @param {string} keyword - e.g. 'lightgoldenrodyellow'
+ * @returns {string} e.g. 'Light Goldenrod Yellow'
+ */
+function cssDisplayName(keyword) {
+  const words = [];
+  let rest = keyword;
+
+  while (rest) {
+    const word = CSS_NAME_WORDS.find(w => rest.startsWith(w));
+    if (!word) return keyword.charAt(0).toUpperCase() + keyword.slice(1);
+    words.push(word.charAt(0).toUpperCase() + word.slice(1));
+    rest = rest.slice(word.length);
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Every named color as { name, hex }. The British "grey" spellings are dropped
+ * since they duplicate the "gray" ones.
+ */
+const NAMED_COLORS = [
+  ...Object.entries(CSS_NAMED_COLORS)
+    .filter(([keyword]) => !keyword.includes('grey'))
+    .map(([keyword, hex]) => ({ name: cssDisplayName(keyword), hex, css: keyword })),
+  ...Object.entries(COLOR_DICTIONARY).map(([name, hex]) => ({ name, hex }))
+];
+
+/**
+ * Find the perceptually nearest named color (CIEDE2000 on CIELAB)
+ * @param {string} hex - Hex color
+ * @returns {{name: string, hex: string, deltaE: number, css?: string}} Name, the named
+ *   color's own hex, the distance to it, and the CSS keyword when it is one
+ */
+export function nameColor(hex) {
+  let best = null;
+
+  NAMED_COLORS.forEach(named => {
+    const deltaE = deltaE2000(hex, named.hex);
+    if (!best || deltaE < best.deltaE) {
+      best = { ...named, deltaE };
+    }
+  });
+
+  return { ...best, deltaE: Math.round(best.deltaE * 100) / 100 };
+}
+
+/**
+ * Turn a color name into a variable key ('Payne's Gray' -> 'paynes-gray')
+ * @param {string} name
+ * @returns {string}
+ */
+export function colorNameKey(name) {
+  return name
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Variable keys for palette colors from their names, numbered when two colors
+ * share a name ('steel-blue', 'steel-blue-2')
+ * @param {Array<{hex: string, name?: string}>} colors
+ * @returns {string[]}
+ */
+export function colorNameKeys(colors) {
+  const seen = {};
+  return colors.map(color => {
+    const key = colorNameKey(color.name || nameColor(color.hex).name);
+    seen[key] = (seen[key] || 0) + 1;
+    return seen[key] > 1 ? `${key}-${seen[key]}` : key;
+  });
+}
@@ -0,0 +1,275 @@
+/**
+ * Data-visualization palettes: categorical, sequential and diverging
+ */
+
+import {
+  hexToRgb,
+  hexToOklch,
+  oklchToHex,
+  rgbToOklab,
+  createRng,
+  randomSeed,
+  round
+} from '../utils/colorUtils.js';
+import { simulateColor } from './visionSimulator.js';
+import { nameColor } from './colorNames.js';
+
+/**
+ * Vision types palettes are checked against: normal vision plus the dichromacies
+ * (achromatopsia leaves only lightness, which can't separate a dozen categories)
+ */
+export const DATAVIZ_VISION_TYPES = ['normal', 'protanopia', 'deuteranopia', 'tritanopia'];
+
+/**
+ * Palette kinds with their allowed and default color counts
+ */
+const KINDS = {
+  categorical: { min: 2, max: 12, default: 8 },
+  sequential: { min: 3, max: 12, default: 9 },
+  diverging: { min: 3, max: 12, default: 9 }
+};
+
+/**
+ * Available data-visualization palette kinds
+ */
+export const DATAVIZ_KINDS = Object.keys(KINDS);
+
+/**
+ * Allowed color counts for a kind
+ * @param {string} kind - One of DATAVIZ_KINDS
+ * @returns {{min: number, max: number, default: number}}
+ */
+export function datavizCountRange(kind) {
+  return KINDS[kind];
+}
+
+// Categorical candidates: a grid of OKLCH lightness levels and hues at a chroma
+// strong enough to read on a chart, gamut-mapped to sRGB
+const CANDIDATE_LIGHTNESS = [0.45, 0.55, 0.65, 0.75, 0.85];
+const CANDIDATE_HUE_STEP = 15;
+const CANDIDATE_CHROMA = 0.16;
+
+// Sequential and diverging ramps run between these OKLCH lightnesses
+const LIGHT_END = 0.96;
+const DARK_END = 0.3;
+
+// Chroma used when the base color is missing or too gray to give one
+const DEFAULT_CHROMA = 0.15;
+const MIN_BASE_CHROMA = 0.04;
+
+/**
+ * OKLab coordinates of a color as seen with each vision type
+ * @param {string} hex
+ * @returns {Object<string, number[]>}
+ */
+function visionCoords(hex) {
+  return Object.fromEntries(DATAVIZ_VISION_TYPES.map(type => {
+    const seen = type === 'normal' ? hex : simulateColor(hex, type);
+    const { r, g, b } = hexToRgb(seen);
+    const { l, a, b: bb } = rgbToOklab(r, g, b);
+    return [type, [l, a, bb]];
+  }));
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Smallest OKLab distance between two colors across every vision type
+ */
+function worstDistance(a, b) {
+  return Math.min(...DATAVIZ_VISION_TYPES.map(type => distance(a.coords[type], b.coords[type])));
+}
+
+/**
+ * Smallest OKLab distance per vision type, between every pair of colors or
+ * only between neighbours
+ * @param {string[]} hexes
+ * @param {boolean} adjacent - Compare neighbours only (ramps)
+ * @returns {Object<string, number>}
+ */
+function distinctness(hexes, adjacent) {
+  const coords = hexes.map(visionCoords);
+  return Object.fromEntries(DATAVIZ_VISION_TYPES.map(type => {
+    let min = Infinity;
+    for (let i = 0; i < coords.length; i++) {
+      const end = adjacent ? Math.min(i + 2, coords.length) : coords.length;
+      for (let j = i + 1; j < end; j++) {
+        min = Math.min(min, distance(coords[i][type], coords[j][type]));
+      }
+    }
+    return [type, round(min, 3)];
+  }));
+}
+
+/**
+ * Whether a base color has enough chroma to give a ramp its hue
+ */
+function hasUsableHue(baseColor) {
+  return Boolean(baseColor) && hexToOklch(baseColor).c >= MIN_BASE_CHROMA;
+}
+
+/**
+ * Hue and chroma to build from: the base color's, or a seeded random hue
+ */
+function startingHue(baseColor, rng) {
+  if (hasUsableHue(baseColor)) {
+    const { c, h } = hexToOklch(baseColor);
+    return { hue: h, chroma: Math.max(0.08, Math.min(0.2, c)) };
+  }
+  return { hue: rng() * 360, chroma: DEFAULT_CHROMA };
+}
+
+/**
+ * Pick colors one at a time, each the candidate farthest from those already
+ * chosen under its worst vision type
+ */
+function categoricalColors(count, baseColor, rng) {
+  const candidates = [];
+  const seen = new Set();
+  for (const l of CANDIDATE_LIGHTNESS) {
+    for (let h = 0; h < 360; h += CANDIDATE_HUE_STEP) {
+      const hex = oklchToHex(l, CANDIDATE_CHROMA, h);
+      if (!seen.has(hex)) {
+        seen.add(hex);
+        candidates.push({ hex, coords: visionCoords(hex) });
+      }
+    }
+  }
+
+  // Start from the base, or a seeded pick among the mid-lightness candidates
+  let first;
+  if (baseColor) {
+    first = { hex: baseColor, coords: visionCoords(baseColor) };
+  } else {
+    const mid = candidates.filter(({ hex }) => {
+      const { l } = hexToOklch(hex);
+      return l > 0.5 && l < 0.8;
+    });
+    first = mid[Math.floor(rng() * mid.length)];
+  }
+
+  const chosen = [first];
+  const nearest = candidates.map(candidate => worstDistance(candidate, first));
+
+  while (chosen.length < count) {
+    let best = 0;
+    nearest.forEach((value, index) => {
+      if (value > nearest[best]) best = index;
+    });
+
+    const pick = candidates[best];
+    chosen.push(pick);
+    candidates.forEach((candidate, index) => {
+      nearest[index] = Math.min(nearest[index], worstDistance(candidate, pick));
+    });
+  }
+
+  return chosen.map(({ hex }) => hex);
+}
+
+/**
+ * Light-to-dark ramp in one hue, with lightness falling evenly and chroma
+ * peaking in the middle
+ */
+function sequentialColors(count, hue, chroma) {
+  return Array.from({ length: count }, (_, i) => {
+    const t = i / (count - 1);
+    const l = LIGHT_END - t * (LIGHT_END - DARK_END);
+    const c = chroma * Math.sin(Math.PI * (0.1 + 0.8 * t));
+    return oklchToHex(l, c, hue);
+  });
+}
+
+/**
+ * Hue for the positive arm of a diverging palette: of the hues at least 90°
+ * from the negative arm, the one whose mid-ramp color stays farthest from the
+ * negative arm's under every vision type, preferring the opposite hue on ties
+ */
+function divergingPartnerHue(hue, chroma) {
+  const midLightness = (LIGHT_END + DARK_END) / 2;
+  const negative = { coords: visionCoords(oklchToHex(midLightness, chroma, hue)) };
+
+  let best = { hue: (hue + 180) % 360, score: -1 };
+  for (let offset = 90; offset <= 270; offset += 5) {
+    const candidateHue = (hue + offset) % 360;
+    const score = worstDistance(negative, { coords: visionCoords(oklchToHex(midLightness, chroma, candidateHue)) });
+    const closer = Math.abs(offset - 180) < Math.abs(((best.hue - hue + 360) % 360) - 180);
+    if (score > best.score + 1e-3 || (Math.abs(score - best.score) <= 1e-3 && closer)) {
+      best = { hue: candidateHue, score };
+    }
+  }
+  return best.hue;
+}
+
+/**
+ * Two ramps meeting at a neutral light midpoint, with lightness matched on
+ * both sides so neither arm reads as heavier. Even counts leave the midpoint
+ * out rather than squeezing two near-neutral colors around it.
+ */
+function divergingColors(count, hue, chroma) {
+  const partner = divergingPartnerHue(hue, chroma);
+  const steps = Math.floor(count / 2);
+
+  return Array.from({ length: count }, (_, i) => {
+    const position = count % 2 === 1 ? i - steps : (i < steps ? i - steps : i - steps + 1);
+    const x = position / steps;
+    const t = Math.abs(x);
+    const l = LIGHT_END - t * (LIGHT_END - DARK_END);
+    const c = chroma * Math.pow(t, 0.8);
+    return oklchToHex(l, c, x < 0 ? hue : partner);
+  });
+}
+
+/**
+ * Generate a data-visualization palette
+ * @param {string} kind - 'categorical', 'sequential' or 'diverging'
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of colors (see datavizCountRange)
+ * @param {string} [options.baseColor] - Hex color to start from: the first category, or
+ *   the hue of the ramp (of the negative arm, for diverging)
+ * @param {string|number} [options.seed] - PRNG seed used when there is no base color (or,
+ *   for ramps, one too gray to give a hue)
+ * @returns {Object} Palette with colors, plus the smallest OKLab distance under each vision
+ *   type between any two colors (categorical) or neighbouring colors (ramps). The seed is
+ *   returned only when it shaped the colors.
+ */
+export function generateDatavizPalette(kind, options = {}) {
+  const range = KINDS[kind];
+  const { baseColor } = options;
+  const count = Math.max(range.min, Math.min(range.max, parseInt(options.count) || range.default));
+
+  const seeded = kind === 'categorical' ? !baseColor : !hasUsableHue(baseColor);
+  const seed = seeded ? (options.seed ?? randomSeed()) : undefined;
+  const rng = seeded ? createRng(seed) : undefined;
+
+  let hexes;
+  if (kind === 'categorical') {
+    hexes = categoricalColors(count, baseColor, rng);
+  } else {
+    const { hue, chroma } = startingHue(baseColor, rng);
+    hexes = kind === 'sequential'
+      ? sequentialColors(count, hue, chroma)
+      : divergingColors(count, hue, chroma);
+  }
+
+  const colors = hexes.map((hex, index) => {
+    const { l, c, h } = hexToOklch(hex);
+    return {
+      hex,
+      oklch: { l: round(l, 3), c: round(c, 3), h: round(h, 1) },
+      role: `${kind}-${index + 1}`,
+      name: nameColor(hex).name
+    };
+  });
+
+  return {
+    kind,
+    count,
+    baseColor: baseColor || null,
+    ...(seeded ? { seed: String(seed) } : {}),
+    colors,
+    distinctness: distinctness(hexes, kind !== 'categorical')
+  };
+}
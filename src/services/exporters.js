@@ -0,0 +1,329 @@
+/**
+ * Palette export formats
+ */
+
+import { hexToRgb } from '../utils/colorUtils.js';
+import { encodeASE, encodeACO } from './adobeSwatches.js';
+import { generateBootstrapTheme } from './bootstrapTheme.js';
+import { colorNameKeys } from './colorNames.js';
+import { isSemanticRole } from './semanticColors.js';
+
+/**
+ * Convert a role like 'accent-1' to a camelCase identifier ('accent1')
+ * @param {string} name
+ * @returns {string}
+ */
+function toCamelCase(name) {
+  return name.replace(/[-_\s]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+}
+
+/**
+ * Convert a role like 'accent-1' to a snake_case identifier ('accent_1')
+ * @param {string} name
+ * @returns {string}
+ */
+function toSnakeCase(name) {
+  return name.replace(/[-\s]+/g, '_').toLowerCase();
+}
+
+/**
+ * Scale steps of a color as [step, hex] pairs (empty when no scale was generated)
+ * @param {Object} color - Palette color
+ * @returns {Array<[string, string]>}
+ */
+function scaleEntries(color) {
+  return color.scale ? Object.entries(color.scale) : [];
+}
+
+/**
+ * Flatten palette colors and their scales into named entries
+ * @param {Object} palette
+ * @param {(role: string, step?: string) => string} nameFor - Builds an entry name
+ * @returns {Array<{name: string, hex: string}>}
+ */
+function flattenColors(palette, nameFor) {
+  const entries = [];
+  palette.colors.forEach(color => {
+    entries.push({ name: nameFor(color.role), hex: color.hex });
+    scaleEntries(color).forEach(([step, hex]) => {
+      entries.push({ name: nameFor(color.role, step), hex });
+    });
+  });
+  return entries;
+}
+
+function paletteTitle(palette) {
+  return palette.name || `Node Swatch ${palette.harmony || 'palette'}`;
+}
+
+/**
+ * Download name for formats without a fixed one, from the palette name
+ * ('Ocean Breeze' -> 'ocean-breeze.ase'), falling back to 'palette'
+ */
+function paletteFilename(palette, extension) {
+  const base = String(palette.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${base || 'palette'}.${extension}`;
+}
+
+function exportCSS(palette) {
+  const entries = flattenColors(palette, (role, step) => step ? `${role}-${step}` : role);
+  return [
+    ':root {',
+    ...entries.map(({ name, hex }) => `  --color-${name}: ${hex};`),
+    '}'
+  ].join('\n');
+}
+
+function exportSCSS(palette) {
+  const entries = flattenColors(palette, (role, step) => step ? `${role}-${step}` : role);
+  const lines = [
+    '// Color Palette Variables',
+    ...entries.map(({ name, hex }) => `$color-${name}: ${hex};`),
+    '',
+    '// Color Map',
+    '$palette: ('
+  ];
+
+  palette.colors.forEach((color, i) => {
+    const comma = i < palette.colors.length - 1 ? ',' : '';
+    const steps = scaleEntries(color);
+    if (steps.length === 0) {
+      lines.push(`  "${color.role}": ${color.hex}${comma}`);
+      return;
+    }
+    lines.push(`  "${color.role}": (`);
+    steps.forEach(([step, hex], j) => {
+      lines.push(`    ${step}: ${hex}${j < steps.length - 1 ? ',' : ''}`);
+    });
+    lines.push(`  )${comma}`);
+  });
+
+  lines.push(');');
+  return lines.join('\n');
+}
+
+function exportLess(palette) {
+  const entries = flattenColors(palette, (role, step) => step ? `${role}-${step}` : role);
+  return [
+    '// Color Palette Variables',
+    ...entries.map(({ name, hex }) => `@color-${name}: ${hex};`)
+  ].join('\n');
+}
+
+function exportJSON(palette) {
+  return JSON.stringify({
+    harmony: palette.harmony,
+    colors: palette.colors.map(c => ({
+      hex: c.hex,
+      hsl: c.hsl,
+      role: c.role,
+      ...(c.name ? { name: c.name } : {}),
+      ...(c.scale ? { scale: c.scale } : {})
+    }))
+  }, null, 2);
+}
+
+function exportTailwind(palette) {
+  const lines = [
+    '// tailwind.config.js',
+    'module.exports = {',
+    '  theme: {',
+    '    extend: {',
+    '      colors: {'
+  ];
+
+  palette.colors.forEach((color, i) => {
+    const name = color.role.replace(/^accent-(\d+)$/, 'accent$1');
+    const comma = i < palette.colors.length - 1 ? ',' : '';
+    const steps = scaleEntries(color);
+    if (steps.length === 0) {
+      lines.push(`        '${name}': '${color.hex}'${comma}`);
+      return;
+    }
+    lines.push(`        '${name}': {`);
+    lines.push(`          DEFAULT: '${color.hex}',`);
+    steps.forEach(([step, hex], j) => {
+      lines.push(`          ${step}: '${hex}'${j < steps.length - 1 ? ',' : ''}`);
+    });
+    lines.push(`        }${comma}`);
+  });
+
+  lines.push('      }');
+  lines.push('    }');
+  lines.push('  }');
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * W3C Design Tokens Community Group format
+ */
+function exportDTCG(palette) {
+  const color = { $type: 'color' };
+  palette.colors.forEach(c => {
+    const steps = scaleEntries(c);
+    if (steps.length === 0) {
+      color[c.role] = { $value: c.hex };
+      return;
+    }
+    color[c.role] = { base: { $value: c.hex } };
+    steps.forEach(([step, hex]) => {
+      color[c.role][step] = { $value: hex };
+    });
+  });
+
+  return JSON.stringify({
+    color: {
+      $description: paletteTitle(palette),
+      ...color
+    }
+  }, null, 2);
+}
+
+function exportStyleDictionary(palette) {
+  const color = {};
+  palette.colors.forEach(c => {
+    const steps = scaleEntries(c);
+    if (steps.length === 0) {
+      color[c.role] = { value: c.hex };
+      return;
+    }
+    color[c.role] = { base: { value: c.hex } };
+    steps.forEach(([step, hex]) => {
+      color[c.role][step] = { value: hex };
+    });
+  });
+
+  return JSON.stringify({ color }, null, 2);
+}
+
+/**
+ * GIMP/Inkscape palette
+ */
+function exportGPL(palette) {
+  const entries = flattenColors(palette, (role, step) => step ? `${role}-${step}` : role);
+  const pad = (n) => String(n).padStart(3, ' ');
+  return [
+    'GIMP Palette',
+    `Name: ${paletteTitle(palette)}`,
+    'Columns: 0',
+    '#',
+    ...entries.map(({ name, hex }) => {
+      const { r, g, b } = hexToRgb(hex);
+      return `${pad(r)} ${pad(g)} ${pad(b)}\t${name}`;
+    })
+  ].join('\n') + '\n';
+}
+
+function exportAndroid(palette) {
+  const entries = flattenColors(palette, (role, step) => toSnakeCase(step ? `${role}_${step}` : role));
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+    ...entries.map(({ name, hex }) => `    <color name="${name}">${hex.toUpperCase()}</color>`),
+    '</resources>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Xcode asset catalog colorsets, keyed by the path of each Contents.json
+ */
+function exportIOS(palette) {
+  const entries = flattenColors(palette, (role, step) => step ? `${role}-${step}` : role);
+  const toComponent = (n) => `0x${n.toString(16).padStart(2, '0').toUpperCase()}`;
+
+  const colorsets = {};
+  entries.forEach(({ name, hex }) => {
+    const { r, g, b } = hexToRgb(hex);
+    colorsets[`${name}.colorset/Contents.json`] = {
+      colors: [{
+        color: {
+          'color-space': 'srgb',
+          components: {
+            alpha: '1.000',
+            red: toComponent(r),
+            green: toComponent(g),
+            blue: toComponent(b)
+          }
+        },
+        idiom: 'universal'
+      }],
+      info: { author: 'xcode', version: 1 }
+    };
+  });
+
+  return JSON.stringify(colorsets, null, 2);
+}
+
+function exportFlutter(palette) {
+  const entries = flattenColors(palette, (role, step) =>
+    step ? `${toCamelCase(role)}Shade${step}` : toCamelCase(role));
+  return [
+    "import 'package:flutter/material.dart';",
+    '',
+    `/// ${paletteTitle(palette)}`,
+    'class PaletteColors {',
+    '  PaletteColors._();',
+    '',
+    ...entries.map(({ name, hex }) =>
+      `  static const Color ${name} = Color(0xFF${hex.replace('#', '').toUpperCase()});`),
+    '}'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Ways to key exported variables: by role ('accent-2') or by color name ('steel-blue').
+ * Status colors keep their success/warning/danger/info roles either way.
+ */
+export const EXPORT_KEYS = ['role', 'name'];
+
+/**
+ * Available export formats. Formats marked keepsRoles read the roles themselves
+ * (JSON, Bootstrap themes) and always keep them.
+ */
+export const EXPORT_FORMATS = {
+  'css': { extension: 'css', mimeType: 'text/css', generate: exportCSS },
+  'scss': { extension: 'scss', mimeType: 'text/x-scss', generate: exportSCSS },
+  'less': { extension: 'less', mimeType: 'text/x-less', generate: exportLess },
+  'json': { extension: 'json', mimeType: 'application/json', keepsRoles: true, generate: exportJSON },
+  'tailwind': { extension: 'js', filename: 'tailwind.config.js', mimeType: 'text/javascript', generate: exportTailwind },
+  'dtcg': { extension: 'tokens.json', mimeType: 'application/json', generate: exportDTCG },
+  'style-dictionary': { extension: 'json', filename: 'tokens.json', mimeType: 'application/json', generate: exportStyleDictionary },
+  'gpl': { extension: 'gpl', mimeType: 'text/plain', generate: exportGPL },
+  'android': { extension: 'xml', filename: 'colors.xml', mimeType: 'application/xml', generate: exportAndroid },
+  'ios': { extension: 'colorsets.json', mimeType: 'application/json', generate: exportIOS },
+  'flutter': { extension: 'dart', filename: 'palette_colors.dart', mimeType: 'text/plain', generate: exportFlutter },
+  'bootstrap': { extension: 'css', filename: 'bootstrap-theme.css', mimeType: 'text/css', keepsRoles: true, generate: (palette) => generateBootstrapTheme(palette).css },
+  'bootstrap-scss': { extension: 'scss', filename: '_variables.scss', mimeType: 'text/x-scss', keepsRoles: true, generate: (palette) => generateBootstrapTheme(palette).scss },
+  'ase': { extension: 'ase', mimeType: 'application/octet-stream', binary: true, generate: encodeASE },
+  'aco': { extension: 'aco', mimeType: 'application/octet-stream', binary: true, generate: encodeACO }
+};
+
+/**
+ * Export a palette in the given format
+ * @param {Object} palette - Palette with colors [{hex, role, name?, scale?}]
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.keys] - 'name' to key variables by color name instead of role
+ * @returns {{content: string|Buffer, filename: string, mimeType: string}}
+ */
+export function exportPalette(palette, format, options = {}) {
+  const exporter = EXPORT_FORMATS[format];
+
+  let exported = palette;
+  if (options.keys === 'name' && !exporter.keepsRoles) {
+    const named = palette.colors.filter(color => !isSemanticRole(color.role));
+    const keys = colorNameKeys(named);
+    exported = {
+      ...palette,
+      colors: palette.colors.map(color =>
+        (isSemanticRole(color.role) ? color : { ...color, role: keys[named.indexOf(color)] }))
+    };
+  }
+
+  return {
+    content: exporter.generate(exported),
+    filename: exporter.filename || paletteFilename(palette, exporter.extension),
+    mimeType: exporter.mimeType
+  };
+}
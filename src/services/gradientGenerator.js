@@ -0,0 +1,252 @@
+/**
+ * Gradients between palette colors, interpolated in a choice of color spaces
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  srgbToLinear,
+  linearToSrgb,
+  rgbToLab,
+  labToRgb,
+  rgbToOklch,
+  oklchToRgb
+} from '../utils/colorUtils.js';
+
+/**
+ * Interpolation spaces, named as in CSS <color-interpolation-method>. Each converts
+ * RGB to coordinates and back; polar spaces give the index of their hue coordinate
+ * and a test for colors too gray for that hue to mean anything.
+ */
+const SPACES = {
+  'srgb': {
+    toCoords: ({ r, g, b }) => [r, g, b],
+    fromCoords: ([r, g, b]) => ({ r, g, b })
+  },
+  'srgb-linear': {
+    toCoords: ({ r, g, b }) => [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)],
+    fromCoords: ([r, g, b]) => ({ r: linearToSrgb(r), g: linearToSrgb(g), b: linearToSrgb(b) })
+  },
+  'hsl': {
+    toCoords: ({ r, g, b }) => {
+      const { h, s, l } = rgbToHsl(r, g, b);
+      return [h, s, l];
+    },
+    fromCoords: ([h, s, l]) => hslToRgb(h, s, l),
+    hue: 0,
+    achromatic: ([, s, l]) => s === 0 || l === 0 || l === 100
+  },
+  'lab': {
+    toCoords: ({ r, g, b }) => {
+      const { l, a, b: bb } = rgbToLab(r, g, b);
+      return [l, a, bb];
+    },
+    fromCoords: ([l, a, b]) => labToRgb(l, a, b)
+  },
+  'oklch': {
+    toCoords: ({ r, g, b }) => {
+      const { l, c, h } = rgbToOklch(r, g, b);
+      return [l, c, h];
+    },
+    fromCoords: ([l, c, h]) => oklchToRgb(l, c, h),
+    hue: 2,
+    achromatic: ([, c]) => c < 1e-4
+  }
+};
+
+/**
+ * Interpolation spaces, in CSS syntax
+ */
+export const GRADIENT_SPACES = Object.keys(SPACES);
+
+/**
+ * Hue interpolation methods for the polar spaces (hsl, oklch)
+ */
+export const HUE_METHODS = ['shorter', 'longer'];
+
+/**
+ * Most stops a gradient can be sampled into
+ */
+export const MAX_GRADIENT_STEPS = 64;
+
+/**
+ * Adjust two hues so that interpolating linearly between them takes the
+ * shorter or longer way around the wheel (CSS Color 4 hue interpolation)
+ * @returns {[number, number]}
+ */
+function fixupHues(h1, h2, method) {
+  const diff = h2 - h1;
+  if (method === 'longer') {
+    if (diff > 0 && diff < 180) return [h1 + 360, h2];
+    if (diff > -180 && diff <= 0) return [h1, h2 + 360];
+    return [h1, h2];
+  }
+  if (diff > 180) return [h1 + 360, h2];
+  if (diff < -180) return [h1, h2 + 360];
+  return [h1, h2];
+}
+
+/**
+ * Interpolate between two colors in a space
+ * @param {number[]} from - Start coordinates
+ * @param {number[]} to - End coordinates
+ * @param {number} t - Position between them (0-1)
+ * @param {Object} space - Entry of SPACES
+ * @param {string} hue - Hue interpolation method
+ * @returns {string} Hex color
+ */
+function interpolate(from, to, t, space, hue) {
+  const a = [...from];
+  const b = [...to];
+
+  if (space.hue !== undefined) {
+    const i = space.hue;
+    // An achromatic end has no hue of its own and takes the other end's
+    if (space.achromatic(a) && !space.achromatic(b)) a[i] = b[i];
+    if (space.achromatic(b) && !space.achromatic(a)) b[i] = a[i];
+    [a[i], b[i]] = fixupHues(a[i], b[i], hue);
+  }
+
+  const coords = a.map((value, i) => value + (b[i] - value) * t);
+  if (space.hue !== undefined) {
+    coords[space.hue] = ((coords[space.hue] % 360) + 360) % 360;
+  }
+
+  const { r, g, b: blue } = space.fromCoords(coords);
+  return rgbToHex(r, g, blue);
+}
+
+/**
+ * Mix two colors in a space
+ * @param {string} hexA - First color
+ * @param {string} hexB - Second color
+ * @param {number} t - Amount of the second color (0-1)
+ * @param {string} [space] - One of GRADIENT_SPACES (default: srgb)
+ * @param {string} [hue] - Hue interpolation method for polar spaces (default: shorter)
+ * @returns {string} Hex color
+ */
+export function mixColors(hexA, hexB, t, space = 'srgb', hue = 'shorter') {
+  if (t === 0) return hexA;
+  if (t === 1) return hexB;
+  const spaceDef = SPACES[space];
+  return interpolate(
+    spaceDef.toCoords(hexToRgb(hexA)),
+    spaceDef.toCoords(hexToRgb(hexB)),
+    t,
+    spaceDef,
+    hue
+  );
+}
+
+function formatPercent(position) {
+  return `${Math.round(position * 1000) / 10}%`;
+}
+
+/**
+ * CSS color interpolation method for a gradient, or '' for the sRGB default
+ */
+function interpolationMethod(space, hue) {
+  if (space === 'srgb') return '';
+  const polar = SPACES[space].hue !== undefined;
+  return `in ${space}${polar && hue === 'longer' ? ' longer hue' : ''}`;
+}
+
+/**
+ * Build CSS gradient functions of each type
+ * @param {number} angle - Linear direction and conic start, in degrees
+ * @param {string} method - Interpolation method, or '' for none
+ * @param {string} stops - Color stop list
+ * @returns {{linear: string, radial: string, conic: string}}
+ */
+function cssGradients(angle, method, stops) {
+  const withMethod = (lead) => [lead, method].filter(Boolean).join(' ');
+  return {
+    linear: `linear-gradient(${withMethod(`${angle}deg`)}, ${stops})`,
+    radial: `radial-gradient(${withMethod('circle')}, ${stops})`,
+    conic: `conic-gradient(${withMethod(`from ${angle}deg`)}, ${stops})`
+  };
+}
+
+/**
+ * SVG documents filling a rectangle with the sampled stops. SVG only
+ * interpolates in sRGB, so the stops carry the chosen space's curve.
+ * @returns {{linear: string, radial: string}}
+ */
+function svgGradients(stops, angle) {
+  const rad = angle * Math.PI / 180;
+  const round = (n) => Math.round(n * 1000) / 1000;
+  // CSS angles run clockwise from "to top"; map the direction onto the bounding box
+  const x = Math.sin(rad) / 2;
+  const y = -Math.cos(rad) / 2;
+  const stopElements = stops
+    .map(({ position, hex }) => `      <stop offset="${formatPercent(position)}" stop-color="${hex}"/>`)
+    .join('\n');
+
+  const document = (definition) => [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="200" viewBox="0 0 600 200">',
+    '  <defs>',
+    definition,
+    '  </defs>',
+    '  <rect width="600" height="200" fill="url(#gradient)"/>',
+    '</svg>'
+  ].join('\n');
+
+  return {
+    linear: document([
+      `    <linearGradient id="gradient" x1="${round(0.5 - x)}" y1="${round(0.5 - y)}" x2="${round(0.5 + x)}" y2="${round(0.5 + y)}">`,
+      stopElements,
+      '    </linearGradient>'
+    ].join('\n')),
+    radial: document([
+      '    <radialGradient id="gradient" cx="0.5" cy="0.5" r="0.5">',
+      stopElements,
+      '    </radialGradient>'
+    ].join('\n'))
+  };
+}
+
+/**
+ * Build a gradient through two or more colors
+ * @param {Object} options
+ * @param {string[]} options.colors - Hex colors, evenly spaced along the gradient
+ * @param {string} [options.space] - Interpolation space, one of GRADIENT_SPACES (default: oklch)
+ * @param {string} [options.hue] - 'shorter' or 'longer' hue interpolation (default: shorter)
+ * @param {number} [options.steps] - Number of sampled stops (default: 9)
+ * @param {number} [options.angle] - Direction of linear and start of conic gradients in degrees (default: 90)
+ * @returns {Object} Sampled stops, CSS gradients in the space (css) and through the
+ *   sampled stops for browsers without interpolation methods (fallback), and SVG documents
+ */
+export function generateGradient(options) {
+  const { colors, space = 'oklch', hue = 'shorter', steps = 9, angle = 90 } = options;
+  const spaceDef = SPACES[space];
+  const coords = colors.map(hex => spaceDef.toCoords(hexToRgb(hex)));
+  const segments = colors.length - 1;
+
+  const stops = Array.from({ length: steps }, (_, i) => {
+    const position = i / (steps - 1);
+    const segment = Math.min(Math.floor(position * segments), segments - 1);
+    const t = position * segments - segment;
+    // Stops that land on an input color keep it exactly, free of round-trip error
+    let hex;
+    if (t === 0) hex = colors[segment];
+    else if (t === 1) hex = colors[segment + 1];
+    else hex = interpolate(coords[segment], coords[segment + 1], t, spaceDef, hue);
+    return { position: Math.round(position * 1000) / 1000, hex };
+  });
+
+  const sampledStops = stops.map(({ position, hex }) => `${hex} ${formatPercent(position)}`).join(', ');
+
+  return {
+    colors,
+    space,
+    hue: spaceDef.hue !== undefined ? hue : null,
+    steps,
+    angle,
+    stops,
+    css: cssGradients(angle, interpolationMethod(space, hue), colors.join(', ')),
+    fallback: cssGradients(angle, '', sampledStops),
+    svg: svgGradients(stops, angle)
+  };
+}
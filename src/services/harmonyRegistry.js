@@ -0,0 +1,192 @@
+/**
+ * Registry of harmony types. Built-in harmonies register from colorGenerator.js;
+ * more can be registered by hand or loaded from a directory of modules.
+ */
+
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+/**
+ * Directory extra harmony modules are loaded from (override with NODE_SWATCH_HARMONIES_DIR)
+ */
+export const HARMONIES_DIR = process.env.NODE_SWATCH_HARMONIES_DIR ||
+  fileURLToPath(new URL('../../harmonies', import.meta.url));
+
+/**
+ * Registered harmony names, in registration order. Kept up to date by
+ * registerHarmony, so it always reflects every harmony available.
+ */
+export const HARMONY_TYPES = [];
+
+/**
+ * Parameter types a harmony can declare
+ */
+export const HARMONY_PARAM_TYPES = ['number', 'select'];
+
+const harmonies = new Map();
+
+function titleCase(name) {
+  return name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Check a parameter schema, filling in its label
+ * @param {string} harmony - Harmony name, for error messages
+ * @param {string} name - Parameter name
+ * @param {Object} param - Parameter definition
+ * @returns {Object} Normalized parameter definition
+ */
+function normalizeParam(harmony, name, param) {
+  const where = `Harmony "${harmony}" parameter "${name}"`;
+
+  if (!/^[a-z][a-zA-Z0-9]*$/.test(name)) {
+    throw new Error(`${where} must be a camelCase name`);
+  }
+  if (!param || !HARMONY_PARAM_TYPES.includes(param.type)) {
+    throw new Error(`${where} must have a type of ${HARMONY_PARAM_TYPES.join(' or ')}`);
+  }
+
+  if (param.type === 'number') {
+    const { min, max, step } = param;
+    if (typeof param.default !== 'number' ||
+        (min !== undefined && typeof min !== 'number') ||
+        (max !== undefined && typeof max !== 'number') ||
+        (step !== undefined && typeof step !== 'number')) {
+      throw new Error(`${where} needs a numeric default, and min, max and step must be numbers`);
+    }
+  } else if (!Array.isArray(param.options) || !param.options.includes(param.default)) {
+    throw new Error(`${where} needs an options array that includes its default`);
+  }
+
+  return { ...param, label: param.label || titleCase(name) };
+}
+
+/**
+ * Register a harmony type
+ * @param {string} name - Lowercase, hyphenated name used in URLs (e.g. 'split-complementary')
+ * @param {Object} definition
+ * @param {Function} definition.generate - (baseHsl, count, params, context) => colors. Gets the
+ *   base color and returns `count` colors, all as {h, s, l} in the working space (HSL, or
+ *   perceptual lightness/chroma when a perceptual space is chosen); params holds the resolved
+ *   parameter values and context the seeded `rng` and the `ranges` random colors stay within
+ * @param {string} definition.description - One or two sentences shown in the UI
+ * @param {Object<string, Object>} [definition.params] - Parameter schemas keyed by name:
+ *   {type: 'number', default, min?, max?, step?, label?} or {type: 'select', options, default, label?}
+ * @param {string} [definition.label] - Display name (default: title-cased name)
+ */
+export function registerHarmony(name, definition) {
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Harmony name must be lowercase letters, digits and hyphens: ${name}`);
+  }
+  if (harmonies.has(name)) {
+    throw new Error(`Harmony "${name}" is already registered`);
+  }
+
+  const { generate, description, params = {}, label } = definition || {};
+  if (typeof generate !== 'function') {
+    throw new Error(`Harmony "${name}" needs a generate function`);
+  }
+  if (typeof description !== 'string' || !description) {
+    throw new Error(`Harmony "${name}" needs a description`);
+  }
+
+  const normalizedParams = Object.fromEntries(
+    Object.entries(params).map(([paramName, param]) => [paramName, normalizeParam(name, paramName, param)])
+  );
+
+  harmonies.set(name, {
+    name,
+    label: label || titleCase(name),
+    description,
+    params: normalizedParams,
+    generate
+  });
+  HARMONY_TYPES.push(name);
+}
+
+/**
+ * Look up a registered harmony
+ * @param {string} name
+ * @returns {Object|undefined} Definition with name, label, description, params and generate
+ */
+export function getHarmony(name) {
+  return harmonies.get(String(name).toLowerCase());
+}
+
+/**
+ * Every registered harmony, without its generate function
+ * @returns {Array<{name: string, label: string, description: string, params: Object}>}
+ */
+export function listHarmonies() {
+  return [...harmonies.values()].map(({ name, label, description, params }) => ({
+    name,
+    label,
+    description,
+    params
+  }));
+}
+
+/**
+ * Resolve parameter values against a harmony's schema. Missing or invalid
+ * values fall back to the default; numbers are clamped to their range.
+ * @param {string} name - Harmony name
+ * @param {Object} [values] - Raw values (numbers or strings, e.g. query params); unknown keys are ignored
+ * @returns {Object} Value for every declared parameter
+ */
+export function resolveHarmonyParams(name, values = {}) {
+  const harmony = getHarmony(name);
+  if (!harmony) return {};
+
+  return Object.fromEntries(Object.entries(harmony.params).map(([paramName, param]) => {
+    const raw = values[paramName];
+
+    if (param.type === 'select') {
+      return [paramName, param.options.includes(raw) ? raw : param.default];
+    }
+
+    const value = raw === undefined || raw === null || raw === '' ? NaN : Number(raw);
+    if (Number.isNaN(value)) return [paramName, param.default];
+    const min = param.min ?? -Infinity;
+    const max = param.max ?? Infinity;
+    return [paramName, Math.max(min, Math.min(max, value))];
+  }));
+}
+
+/**
+ * Load harmony modules from a directory. Each .js or .mjs file default-exports
+ * a definition with a name ({name, generate, description, params}) or an array
+ * of them. A module that fails to load or register is skipped and reported.
+ * @param {string} [directory] - Directory to load (default: HARMONIES_DIR)
+ * @returns {Promise<{loaded: string[], errors: Array<{file: string, error: string}>}>}
+ */
+export async function loadHarmonyModules(directory = HARMONIES_DIR) {
+  const loaded = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = (await readdir(directory)).filter(file => /\.m?js$/.test(file)).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return { loaded, errors };
+    throw err;
+  }
+
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(join(directory, file)).href);
+      const definitions = [].concat(module.default || []);
+      if (definitions.length === 0) {
+        throw new Error('Module has no default export');
+      }
+      for (const { name, ...definition } of definitions) {
+        registerHarmony(name, definition);
+        loaded.push(name);
+      }
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+
+  return { loaded, errors };
+}
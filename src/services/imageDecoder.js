@@ -0,0 +1,933 @@
+/**
+ * Pure JavaScript image decoders for palette extraction
+ *   - PNG: all color types and bit depths, including Adam7 interlacing
+ *   - JPEG: baseline, extended sequential and progressive (Huffman), grayscale or YCbCr
+ *   - PPM/PGM: P2, P3, P5 and P6
+ * Every decoder returns RGBA pixels.
+ */
+
+import { inflateSync } from 'zlib';
+
+/**
+ * Largest image accepted, in pixels
+ */
+const MAX_PIXELS = 40000000;
+
+function checkDimensions(width, height) {
+  if (!width || !height) {
+    throw new Error('Image has no pixels');
+  }
+  if (width * height > MAX_PIXELS) {
+    throw new Error(`Image is too large (maximum ${MAX_PIXELS} pixels)`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Bit depths the PNG spec allows for each color type
+const PNG_BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes as [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Reverse a PNG scanline filter in place
+ */
+function unfilterScanline(line, prev, filter, bytesPerPixel) {
+  for (let i = 0; i < line.length; i++) {
+    const a = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+    const b = prev[i];
+    const c = i >= bytesPerPixel ? prev[i - bytesPerPixel] : 0;
+
+    switch (filter) {
+      case 0:
+        break;
+      case 1:
+        line[i] += a;
+        break;
+      case 2:
+        line[i] += b;
+        break;
+      case 3:
+        line[i] += (a + b) >> 1;
+        break;
+      case 4:
+        line[i] += paeth(a, b, c);
+        break;
+      default:
+        throw new Error(`Invalid PNG filter type ${filter}`);
+    }
+  }
+}
+
+/**
+ * Decode a PNG image
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels
+ */
+export function decodePNG(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      if (data.length < 13) {
+        throw new Error('PNG header is truncated');
+      }
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || idat.length === 0) {
+    throw new Error('PNG file is missing image data');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${colorType}`);
+  }
+  if (!PNG_BIT_DEPTHS[colorType].includes(bitDepth)) {
+    throw new Error(`Invalid PNG bit depth ${bitDepth} for color type ${colorType}`);
+  }
+  if (interlace !== 0 && interlace !== 1) {
+    throw new Error(`Invalid PNG interlace method ${interlace}`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('Indexed PNG is missing its palette');
+  }
+  checkDimensions(width, height);
+
+  const bitsPerPixel = channels * bitDepth;
+  const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+
+  // Filtered size of the image data: every scanline of every pass plus its filter byte.
+  // Inflating stops there, so a small upload can't expand to gigabytes in memory.
+  const expectedLength = passes.reduce((total, [xStart, yStart, xStep, yStep]) => {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) return total;
+    return total + passHeight * (1 + Math.ceil(passWidth * bitsPerPixel / 8));
+  }, 0);
+
+  let inflated;
+  try {
+    inflated = inflateSync(Buffer.concat(idat), { maxOutputLength: expectedLength });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error('PNG image data is larger than its dimensions allow');
+    }
+    throw new Error('PNG image data is corrupt');
+  }
+
+  const bytesPerPixel = Math.max(1, Math.ceil(bitsPerPixel / 8));
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  const rgba = new Uint8Array(width * height * 4);
+
+  // Read channel c of pixel x from an unfiltered scanline, scaled to 8 bits
+  const readSample = (line, x, c) => {
+    if (bitDepth === 16) return line[(x * channels + c) * 2];
+    if (bitDepth === 8) return line[x * channels + c];
+    const bit = x * bitsPerPixel;
+    const value = (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return colorType === 3 ? value : Math.round(value * 255 / maxSample);
+  };
+
+  let position = 0;
+
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+    let prev = new Uint8Array(stride);
+
+    for (let y = 0; y < passHeight; y++) {
+      if (position + 1 + stride > inflated.length) {
+        throw new Error('PNG image data is truncated');
+      }
+
+      const filter = inflated[position];
+      const line = Uint8Array.from(inflated.subarray(position + 1, position + 1 + stride));
+      position += 1 + stride;
+      unfilterScanline(line, prev, filter, bytesPerPixel);
+
+      for (let x = 0; x < passWidth; x++) {
+        const out = ((yStart + y * yStep) * width + xStart + x * xStep) * 4;
+        switch (colorType) {
+          case 0: {
+            const v = readSample(line, x, 0);
+            rgba[out] = rgba[out + 1] = rgba[out + 2] = v;
+            rgba[out + 3] = 255;
+            break;
+          }
+          case 2:
+            rgba[out] = readSample(line, x, 0);
+            rgba[out + 1] = readSample(line, x, 1);
+            rgba[out + 2] = readSample(line, x, 2);
+            rgba[out + 3] = 255;
+            break;
+          case 3: {
+            const index = readSample(line, x, 0);
+            rgba[out] = palette[index * 3];
+            rgba[out + 1] = palette[index * 3 + 1];
+            rgba[out + 2] = palette[index * 3 + 2];
+            rgba[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            break;
+          }
+          case 4: {
+            const v = readSample(line, x, 0);
+            rgba[out] = rgba[out + 1] = rgba[out + 2] = v;
+            rgba[out + 3] = readSample(line, x, 1);
+            break;
+          }
+          case 6:
+            rgba[out] = readSample(line, x, 0);
+            rgba[out + 1] = readSample(line, x, 1);
+            rgba[out + 2] = readSample(line, x, 2);
+            rgba[out + 3] = readSample(line, x, 3);
+            break;
+        }
+      }
+
+      prev = line;
+    }
+  }
+
+  return { width, height, data: rgba };
+}
+
+// ---------------------------------------------------------------------------
+// JPEG
+// ---------------------------------------------------------------------------
+
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// IDCT basis: IDCT_COS[x * 8 + u] = C(u) * cos((2x + 1) * u * PI / 16)
+const IDCT_COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    const scale = u === 0 ? Math.SQRT1_2 : 1;
+    IDCT_COS[x * 8 + u] = scale * Math.cos((2 * x + 1) * u * Math.PI / 16);
+  }
+}
+
+/**
+ * Build a Huffman decoding table (JPEG spec F.2.2.3)
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const minCode = new Int32Array(17);
+  const valuePointer = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    valuePointer[length] = k;
+    minCode[length] = code;
+    code += count;
+    k += count;
+    maxCode[length] = count ? code - 1 : -1;
+    code <<= 1;
+  }
+
+  return { maxCode, minCode, valuePointer, symbols };
+}
+
+/**
+ * Bit reader over JPEG entropy-coded data, handling byte stuffing and markers
+ */
+class JpegBitReader {
+  constructor(buffer, position) {
+    this.buffer = buffer;
+    this.position = position;
+    this.current = 0;
+    this.bitsLeft = 0;
+  }
+
+  readBit() {
+    if (this.bitsLeft === 0) {
+      let byte = 0;
+      if (this.position < this.buffer.length) {
+        byte = this.buffer[this.position];
+        if (byte === 0xff) {
+          if (this.buffer[this.position + 1] === 0) {
+            this.position += 2;
+          } else {
+            // Hit a marker: feed zeros without consuming it
+            byte = 0;
+          }
+        } else {
+          this.position++;
+        }
+      }
+      this.current = byte;
+      this.bitsLeft = 8;
+    }
+    this.bitsLeft--;
+    return (this.current >> this.bitsLeft) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  receiveExtend(length) {
+    if (length === 0) return 0;
+    const value = this.receive(length);
+    return value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+  }
+
+  decodeHuffman(table) {
+    let code = this.readBit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | this.readBit();
+      length++;
+      if (length > 16) {
+        throw new Error('JPEG image data is corrupt');
+      }
+    }
+    return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+  }
+
+  // Skip to just past the next RSTn marker and reset the bit buffer
+  restart() {
+    this.bitsLeft = 0;
+    while (this.position + 1 < this.buffer.length) {
+      const marker = this.buffer[this.position + 1];
+      if (this.buffer[this.position] === 0xff && marker >= 0xd0 && marker <= 0xd7) {
+        this.position += 2;
+        return;
+      }
+      this.position++;
+    }
+  }
+}
+
+/**
+ * Dequantize a block stored in zigzag order and inverse-DCT it into 8-bit samples
+ */
+function idctBlock(coefficients, offset, quant, output, outOffset, outStride) {
+  const block = new Float64Array(64);
+  for (let k = 0; k < 64; k++) {
+    block[ZIGZAG[k]] = coefficients[offset + k] * quant[k];
+  }
+
+  const temp = new Float64Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) {
+        sum += IDCT_COS[x * 8 + u] * block[v * 8 + u];
+      }
+      temp[v * 8 + x] = sum;
+    }
+  }
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) {
+        sum += IDCT_COS[y * 8 + v] * temp[v * 8 + x];
+      }
+      const sample = Math.round(sum / 4 + 128);
+      output[outOffset + y * outStride + x] = sample < 0 ? 0 : sample > 255 ? 255 : sample;
+    }
+  }
+}
+
+/**
+ * Decode one scan's entropy-coded data into the components' coefficient buffers.
+ * Handles sequential scans and the four progressive scan kinds
+ * (DC first/refine, AC first/refine).
+ * @returns {number} Buffer position after the scan data
+ */
+function decodeJpegScan(buffer, position, frame, scan, restartInterval) {
+  const reader = new JpegBitReader(buffer, position);
+  const { components, spectralStart, spectralEnd, approxHigh, approxLow } = scan;
+
+  // State carried across blocks within a progressive AC scan
+  let eobRun = 0;
+  let refineState = 0;
+  let refineValue = 0;
+
+  const decodeSequential = (component, offset) => {
+    const { coefficients } = component;
+    const size = reader.decodeHuffman(component.dcTable);
+    component.pred += reader.receiveExtend(size);
+    coefficients[offset] = component.pred;
+
+    let k = 1;
+    while (k < 64) {
+      const rs = reader.decodeHuffman(component.acTable);
+      const run = rs >> 4;
+      const s = rs & 15;
+      if (s === 0) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[offset + k] = reader.receiveExtend(s);
+      k++;
+    }
+  };
+
+  const decodeDCFirst = (component, offset) => {
+    const size = reader.decodeHuffman(component.dcTable);
+    component.pred += reader.receiveExtend(size);
+    component.coefficients[offset] = component.pred * (1 << approxLow);
+  };
+
+  const decodeDCRefine = (component, offset) => {
+    if (reader.readBit()) {
+      component.coefficients[offset] |= 1 << approxLow;
+    }
+  };
+
+  const decodeACFirst = (component, offset) => {
+    if (eobRun > 0) {
+      eobRun--;
+      return;
+    }
+
+    let k = spectralStart;
+    while (k <= spectralEnd) {
+      const rs = reader.decodeHuffman(component.acTable);
+      const run = rs >> 4;
+      const s = rs & 15;
+      if (s === 0) {
+        if (run < 15) {
+          eobRun = reader.receive(run) + (1 << run) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      component.coefficients[offset + k] = reader.receiveExtend(s) * (1 << approxLow);
+      k++;
+    }
+  };
+
+  const decodeACRefine = (component, offset) => {
+    const { coefficients } = component;
+    let k = spectralStart;
+    let run = 0;
+
+    while (k <= spectralEnd) {
+      const index = offset + k;
+      const sign = coefficients[index] < 0 ? -1 : 1;
+
+      switch (refineState) {
+        case 0: { // Read the next run/size symbol
+          const rs = reader.decodeHuffman(component.acTable);
+          const s = rs & 15;
+          run = rs >> 4;
+          if (s === 0) {
+            if (run < 15) {
+              eobRun = reader.receive(run) + (1 << run);
+              refineState = 4;
+            } else {
+              run = 16;
+              refineState = 1;
+            }
+          } else {
+            if (s !== 1) {
+              throw new Error('JPEG image data is corrupt');
+            }
+            refineValue = reader.receiveExtend(s);
+            refineState = run ? 2 : 3;
+          }
+          continue;
+        }
+        case 1: // Skipping a run of zero coefficients
+        case 2: // Skipping zeros before placing a new coefficient
+          if (coefficients[index]) {
+            coefficients[index] += sign * (reader.readBit() << approxLow);
+          } else {
+            run--;
+            if (run === 0) refineState = refineState === 2 ? 3 : 0;
+          }
+          break;
+        case 3: // Place the new coefficient at the next zero
+          if (coefficients[index]) {
+            coefficients[index] += sign * (reader.readBit() << approxLow);
+          } else {
+            coefficients[index] = refineValue << approxLow;
+            refineState = 0;
+          }
+          break;
+        case 4: // End of band: only refine existing coefficients
+          if (coefficients[index]) {
+            coefficients[index] += sign * (reader.readBit() << approxLow);
+          }
+          break;
+      }
+      k++;
+    }
+
+    if (refineState === 4) {
+      eobRun--;
+      if (eobRun === 0) refineState = 0;
+    }
+  };
+
+  let decodeBlock;
+  if (!frame.progressive) {
+    decodeBlock = decodeSequential;
+  } else if (spectralStart === 0) {
+    decodeBlock = approxHigh === 0 ? decodeDCFirst : decodeDCRefine;
+  } else {
+    decodeBlock = approxHigh === 0 ? decodeACFirst : decodeACRefine;
+  }
+
+  const resetState = () => {
+    components.forEach(c => { c.pred = 0; });
+    eobRun = 0;
+    refineState = 0;
+  };
+  resetState();
+
+  let unitsDecoded = 0;
+  const handleRestart = () => {
+    unitsDecoded++;
+    if (restartInterval && unitsDecoded % restartInterval === 0) {
+      reader.restart();
+      resetState();
+    }
+  };
+
+  const blockOffset = (component, row, col) => (row * component.blocksPerLine + col) * 64;
+
+  if (components.length === 1) {
+    // Non-interleaved: blocks in raster order over the component's own size
+    const component = components[0];
+    const blocksWide = Math.ceil(Math.ceil(frame.width * component.h / frame.maxH) / 8);
+    const blocksHigh = Math.ceil(Math.ceil(frame.height * component.v / frame.maxV) / 8);
+    for (let row = 0; row < blocksHigh; row++) {
+      for (let col = 0; col < blocksWide; col++) {
+        decodeBlock(component, blockOffset(component, row, col));
+        handleRestart();
+      }
+    }
+  } else {
+    for (let mcuRow = 0; mcuRow < frame.mcusHigh; mcuRow++) {
+      for (let mcuCol = 0; mcuCol < frame.mcusWide; mcuCol++) {
+        for (const component of components) {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const row = mcuRow * component.v + v;
+              const col = mcuCol * component.h + h;
+              decodeBlock(component, blockOffset(component, row, col));
+            }
+          }
+        }
+        handleRestart();
+      }
+    }
+  }
+
+  return reader.position;
+}
+
+/**
+ * Decode a baseline, extended sequential or progressive (Huffman) JPEG image
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels
+ */
+export function decodeJPEG(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const tables = { quant: [], dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let position = 2;
+
+  while (position < buffer.length) {
+    if (buffer[position] !== 0xff) {
+      position++;
+      continue;
+    }
+
+    const marker = buffer[position + 1];
+    position += 2;
+
+    // Fill bytes, standalone markers and restart markers carry no length
+    if (marker === 0xff) {
+      position--;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+    if (marker === 0xd9) break;
+
+    const length = buffer.readUInt16BE(position);
+    const end = position + length;
+
+    switch (marker) {
+      case 0xdb: { // DQT
+        let p = position + 2;
+        while (p < end) {
+          const precision = buffer[p] >> 4;
+          const id = buffer[p] & 15;
+          p++;
+          const table = new Int32Array(64);
+          for (let i = 0; i < 64; i++) {
+            table[i] = precision ? buffer.readUInt16BE(p) : buffer[p];
+            p += precision ? 2 : 1;
+          }
+          tables.quant[id] = table;
+        }
+        break;
+      }
+
+      case 0xc4: { // DHT
+        let p = position + 2;
+        while (p < end) {
+          const tableClass = buffer[p] >> 4;
+          const id = buffer[p] & 15;
+          const counts = buffer.subarray(p + 1, p + 17);
+          const total = counts.reduce((sum, n) => sum + n, 0);
+          const symbols = buffer.subarray(p + 17, p + 17 + total);
+          p += 17 + total;
+          (tableClass === 0 ? tables.dc : tables.ac)[id] = buildHuffmanTable(counts, symbols);
+        }
+        break;
+      }
+
+      case 0xc0:
+      case 0xc1:
+      case 0xc2: { // SOF0-2: baseline, extended sequential, progressive
+        if (buffer[position + 2] !== 8) {
+          throw new Error('Only 8-bit JPEGs are supported');
+        }
+
+        const height = buffer.readUInt16BE(position + 3);
+        const width = buffer.readUInt16BE(position + 5);
+        const componentCount = buffer[position + 7];
+        checkDimensions(width, height);
+
+        if (componentCount !== 1 && componentCount !== 3) {
+          throw new Error('Only grayscale and YCbCr JPEGs are supported');
+        }
+
+        const components = [];
+        for (let i = 0; i < componentCount; i++) {
+          const p = position + 8 + i * 3;
+          components.push({
+            id: buffer[p],
+            h: buffer[p + 1] >> 4,
+            v: buffer[p + 1] & 15,
+            quantTable: buffer[p + 2]
+          });
+        }
+
+        const maxH = Math.max(...components.map(c => c.h));
+        const maxV = Math.max(...components.map(c => c.v));
+        const mcusWide = Math.ceil(width / (8 * maxH));
+        const mcusHigh = Math.ceil(height / (8 * maxV));
+
+        components.forEach(c => {
+          c.blocksPerLine = mcusWide * c.h;
+          c.blocksPerColumn = mcusHigh * c.v;
+          c.coefficients = new Int16Array(c.blocksPerLine * c.blocksPerColumn * 64);
+        });
+
+        frame = {
+          width,
+          height,
+          components,
+          maxH,
+          maxV,
+          mcusWide,
+          mcusHigh,
+          progressive: marker === 0xc2
+        };
+        break;
+      }
+
+      case 0xc3:
+      case 0xc5:
+      case 0xc6:
+      case 0xc7:
+      case 0xc9:
+      case 0xca:
+      case 0xcb:
+      case 0xcd:
+      case 0xce:
+      case 0xcf:
+        throw new Error('Lossless, hierarchical and arithmetic-coded JPEGs are not supported; save as a standard JPEG or PNG');
+
+      case 0xdd: // DRI
+        restartInterval = buffer.readUInt16BE(position + 2);
+        break;
+
+      case 0xda: { // SOS
+        if (!frame) {
+          throw new Error('JPEG scan appears before frame header');
+        }
+
+        const count = buffer[position + 2];
+        const components = [];
+        for (let i = 0; i < count; i++) {
+          const p = position + 3 + i * 2;
+          const component = frame.components.find(c => c.id === buffer[p]);
+          if (!component) {
+            throw new Error('JPEG scan references an unknown component');
+          }
+          component.dcTable = tables.dc[buffer[p + 1] >> 4];
+          component.acTable = tables.ac[buffer[p + 1] & 15];
+          components.push(component);
+        }
+
+        const p = position + 3 + count * 2;
+        const scan = {
+          components,
+          spectralStart: buffer[p],
+          spectralEnd: buffer[p + 1],
+          approxHigh: buffer[p + 2] >> 4,
+          approxLow: buffer[p + 2] & 15
+        };
+
+        const needsDC = !frame.progressive || (scan.spectralStart === 0 && scan.approxHigh === 0);
+        const needsAC = !frame.progressive || scan.spectralStart > 0;
+        if (components.some(c => (needsDC && !c.dcTable) || (needsAC && !c.acTable))) {
+          throw new Error('JPEG is missing a Huffman table');
+        }
+
+        position = decodeJpegScan(buffer, end, frame, scan, restartInterval);
+        continue;
+      }
+
+      default:
+        break;
+    }
+
+    position = end;
+  }
+
+  if (!frame) {
+    throw new Error('JPEG file is missing a frame header');
+  }
+
+  const { width, height, components, maxH, maxV } = frame;
+
+  // Inverse DCT every block into a sample plane per component
+  components.forEach(component => {
+    const quant = tables.quant[component.quantTable];
+    if (!quant) {
+      throw new Error('JPEG is missing a quantization table');
+    }
+
+    component.planeWidth = component.blocksPerLine * 8;
+    component.plane = new Uint8Array(component.planeWidth * component.blocksPerColumn * 8);
+
+    for (let row = 0; row < component.blocksPerColumn; row++) {
+      for (let col = 0; col < component.blocksPerLine; col++) {
+        idctBlock(
+          component.coefficients,
+          (row * component.blocksPerLine + col) * 64,
+          quant,
+          component.plane,
+          row * 8 * component.planeWidth + col * 8,
+          component.planeWidth
+        );
+      }
+    }
+  });
+
+  const rgba = new Uint8Array(width * height * 4);
+  const clamp = (n) => (n < 0 ? 0 : n > 255 ? 255 : Math.round(n));
+
+  // Nearest-neighbour chroma upsampling
+  const sample = (component, x, y) => {
+    const cx = Math.floor(x * component.h / maxH);
+    const cy = Math.floor(y * component.v / maxV);
+    return component.plane[cy * component.planeWidth + cx];
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      if (components.length === 1) {
+        const v = sample(components[0], x, y);
+        rgba[out] = rgba[out + 1] = rgba[out + 2] = v;
+      } else {
+        const Y = sample(components[0], x, y);
+        const cb = sample(components[1], x, y) - 128;
+        const cr = sample(components[2], x, y) - 128;
+        rgba[out] = clamp(Y + 1.402 * cr);
+        rgba[out + 1] = clamp(Y - 0.344136 * cb - 0.714136 * cr);
+        rgba[out + 2] = clamp(Y + 1.772 * cb);
+      }
+      rgba[out + 3] = 255;
+    }
+  }
+
+  return { width, height, data: rgba };
+}
+
+// ---------------------------------------------------------------------------
+// PPM / PGM
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode a Netpbm PPM (P3/P6) or PGM (P2/P5) image
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels
+ */
+export function decodePPM(buffer) {
+  const magic = buffer.toString('ascii', 0, 2);
+  if (!['P2', 'P3', 'P5', 'P6'].includes(magic)) {
+    throw new Error('Not a PPM/PGM file');
+  }
+
+  const channels = magic === 'P3' || magic === 'P6' ? 3 : 1;
+  const binary = magic === 'P5' || magic === 'P6';
+
+  // Read whitespace-separated header tokens, skipping # comments
+  let position = 2;
+  const nextToken = () => {
+    while (position < buffer.length) {
+      const ch = buffer[position];
+      if (ch === 0x23) {
+        while (position < buffer.length && buffer[position] !== 0x0a) position++;
+      } else if (ch === 0x20 || ch === 0x09 || ch === 0x0a || ch === 0x0d) {
+        position++;
+      } else {
+        break;
+      }
+    }
+    const start = position;
+    while (position < buffer.length && !/\s/.test(String.fromCharCode(buffer[position]))) position++;
+    return buffer.toString('ascii', start, position);
+  };
+
+  const width = parseInt(nextToken());
+  const height = parseInt(nextToken());
+  const maxValue = parseInt(nextToken());
+  if (!(maxValue > 0 && maxValue < 65536)) {
+    throw new Error('Invalid PPM header');
+  }
+  checkDimensions(width, height);
+
+  const total = width * height * channels;
+  const samples = new Uint8Array(total);
+  const scale = (value) => Math.round(value * 255 / maxValue);
+
+  if (binary) {
+    position++; // single whitespace after maxval
+    const bytesPerSample = maxValue > 255 ? 2 : 1;
+    if (position + total * bytesPerSample > buffer.length) {
+      throw new Error('PPM image data is truncated');
+    }
+    for (let i = 0; i < total; i++) {
+      const value = bytesPerSample === 2
+        ? buffer.readUInt16BE(position + i * 2)
+        : buffer[position + i];
+      samples[i] = scale(value);
+    }
+  } else {
+    for (let i = 0; i < total; i++) {
+      const token = nextToken();
+      if (token === '') {
+        throw new Error('PPM image data is truncated');
+      }
+      samples[i] = scale(parseInt(token));
+    }
+  }
+
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const out = i * 4;
+    if (channels === 3) {
+      rgba[out] = samples[i * 3];
+      rgba[out + 1] = samples[i * 3 + 1];
+      rgba[out + 2] = samples[i * 3 + 2];
+    } else {
+      rgba[out] = rgba[out + 1] = rgba[out + 2] = samples[i];
+    }
+    rgba[out + 3] = 255;
+  }
+
+  return { width, height, data: rgba };
+}
+
+/**
+ * Decode a PNG, JPEG or PPM/PGM image, detecting the format from its contents
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels
+ */
+export function decodeImage(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return decodePNG(buffer);
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return decodeJPEG(buffer);
+  }
+  if (buffer.length >= 2 && buffer[0] === 0x50 && /[2356]/.test(String.fromCharCode(buffer[1]))) {
+    return decodePPM(buffer);
+  }
+  throw new Error('Unsupported image format; upload a PNG, JPEG or PPM file');
+}
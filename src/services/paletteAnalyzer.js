@@ -0,0 +1,310 @@
+/**
+ * Palette analysis: harmony detection and color distribution for arbitrary colors
+ */
+
+import {
+  hexToHsl,
+  hslToHex,
+  hexToOklch,
+  deltaE2000,
+  normalizeHue,
+  hueDistance,
+  round
+} from '../utils/colorUtils.js';
+
+/**
+ * Hue offsets from the base color for each named harmony, matching the
+ * generators in colorGenerator.js. Ordered simplest first, which also breaks ties.
+ */
+const HARMONY_TEMPLATES = {
+  'monochromatic': { offsets: [0], angle: 0 },
+  'complementary': { offsets: [0, 180], angle: 180 },
+  'triadic': { offsets: [0, 120, 240], angle: 120 },
+  'split-complementary': { offsets: [0, 150, 210], angle: 150 },
+  'analogous': { offsets: [0, 30, -30, 60, -60], angle: 30 },
+  'square': { offsets: [0, 90, 180, 270], angle: 90 },
+  'tetradic': { offsets: [0, 60, 180, 240], angle: 60 },
+  'double-complementary': { offsets: [0, 30, 180, 210], angle: 30 }
+};
+
+/**
+ * HSL saturation (%) below which, or lightness (%) outside which, a color
+ * has no reliable hue and is left out of harmony detection
+ */
+const MIN_SATURATION = 10;
+const LIGHTNESS_RANGE = [5, 95];
+
+/**
+ * Hues closer than this (degrees) count as the same hue
+ */
+const HUE_TOLERANCE = 15;
+
+/**
+ * Mean hue error (degrees) at which a harmony's confidence reaches zero
+ */
+const MAX_HUE_ERROR = 30;
+
+/**
+ * Below this confidence the palette is reported as random
+ */
+const MIN_CONFIDENCE = 0.5;
+
+/**
+ * A custom angle has to beat the best named harmony by this much to be reported
+ */
+const CUSTOM_MARGIN = 0.1;
+
+/**
+ * CIEDE2000 difference below which two colors are flagged as near-duplicates
+ */
+export const NEAR_DUPLICATE_DELTA_E = 5;
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Group hues that lie within HUE_TOLERANCE of each other
+ * @param {number[]} hues
+ * @returns {number} Number of distinct hues
+ */
+function countDistinctHues(hues) {
+  const sorted = [...hues].sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+
+  let clusters = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] - sorted[i - 1] > HUE_TOLERANCE) clusters++;
+  }
+  // The first and last clusters merge across 0°
+  if (clusters > 1 && sorted[0] + 360 - sorted[sorted.length - 1] <= HUE_TOLERANCE) clusters--;
+
+  return clusters;
+}
+
+/**
+ * Score how well hues fit a set of template offsets at the best base hue.
+ * Confidence falls with the mean distance from each hue to its nearest template
+ * hue, and with template hues the palette leaves empty.
+ * @param {number[]} hues - Chromatic hues in the palette
+ * @param {number[]} offsets - Template hue offsets from the base
+ * @param {number} distinct - Number of distinct palette hues
+ * @returns {{confidence: number, baseHue: number}}
+ */
+function fitTemplate(hues, offsets, distinct) {
+  let best = { confidence: 0, baseHue: hues[0] };
+
+  // The best fit puts some palette hue exactly on some template hue
+  hues.forEach(hue => offsets.forEach(offset => {
+    const baseHue = normalizeHue(hue - offset);
+    const points = offsets.map(o => normalizeHue(baseHue + o));
+
+    const error = hues.reduce((sum, h) =>
+      sum + Math.min(...points.map(p => hueDistance(h, p))), 0) / hues.length;
+    const covered = points.filter(p => hues.some(h => hueDistance(h, p) <= HUE_TOLERANCE)).length;
+    const coverage = Math.min(1, covered / Math.min(points.length, distinct));
+    const confidence = Math.max(0, 1 - error / MAX_HUE_ERROR) * coverage;
+
+    if (confidence > best.confidence) {
+      best = { confidence, baseHue };
+    }
+  }));
+
+  return best;
+}
+
+/**
+ * Fit the custom harmony: evenly stepped hues, trying every whole-degree step
+ * @returns {{confidence: number, baseHue: number, angle: number}}
+ */
+function fitCustom(hues, distinct) {
+  let best = { confidence: 0, baseHue: hues[0], angle: 45 };
+
+  for (let angle = 5; angle <= 180; angle++) {
+    const offsets = Array.from({ length: distinct }, (_, i) => angle * i);
+    const fit = fitTemplate(hues, offsets, distinct);
+    if (fit.confidence > best.confidence) {
+      best = { ...fit, angle };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Detect the harmony closest to a palette's hues
+ * @param {Array<{hex: string, hsl: Object}>} colors
+ * @returns {Object} Harmony type, confidence, base color/hue, angle and every candidate's score
+ */
+function detectHarmony(colors) {
+  const chromatic = colors.filter(({ hsl }) =>
+    hsl.s >= MIN_SATURATION && hsl.l >= LIGHTNESS_RANGE[0] && hsl.l <= LIGHTNESS_RANGE[1]);
+  const hues = chromatic.map(({ hsl }) => hsl.h);
+  const distinct = countDistinctHues(hues);
+
+  // Grays and single-hue palettes are monochromatic by definition
+  if (distinct <= 1) {
+    const base = chromatic[0] || colors[0];
+    return {
+      type: 'monochromatic',
+      confidence: 1,
+      baseColor: base.hex,
+      baseInPalette: true,
+      baseHue: chromatic.length > 0 ? base.hsl.h : null,
+      angle: 0,
+      candidates: [{ type: 'monochromatic', confidence: 1 }]
+    };
+  }
+
+  const candidates = Object.entries(HARMONY_TEMPLATES).map(([type, { offsets, angle }]) => ({
+    type,
+    angle,
+    ...fitTemplate(hues, offsets, distinct)
+  }));
+
+  const custom = fitCustom(hues, distinct);
+  const bestNamed = candidates.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+  candidates.push({ type: 'custom', ...custom });
+
+  let best = bestNamed;
+  if (custom.confidence > bestNamed.confidence + CUSTOM_MARGIN) {
+    best = candidates[candidates.length - 1];
+  }
+
+  // The base color is the palette color sitting on the template's 0° hue. When the
+  // palette leaves that hue empty, it is filled in at the palette's average saturation
+  // and lightness.
+  const nearest = chromatic.reduce((a, b) =>
+    (hueDistance(b.hsl.h, best.baseHue) < hueDistance(a.hsl.h, best.baseHue) ? b : a));
+  const inPalette = hueDistance(nearest.hsl.h, best.baseHue) <= HUE_TOLERANCE;
+  const baseColor = inPalette ? nearest.hex : hslToHex(
+    best.baseHue,
+    Math.round(average(chromatic.map(({ hsl }) => hsl.s))),
+    Math.round(average(chromatic.map(({ hsl }) => hsl.l)))
+  );
+
+  const ranked = candidates
+    .map(({ type, confidence }) => ({ type, confidence: round(confidence, 3) }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // Nothing fits: confidence in "random" is how badly the best harmony misses
+  if (best.confidence < MIN_CONFIDENCE) {
+    return {
+      type: 'random',
+      confidence: round(1 - best.confidence, 3),
+      baseColor: nearest.hex,
+      baseInPalette: true,
+      baseHue: round(nearest.hsl.h, 1),
+      angle: null,
+      candidates: ranked
+    };
+  }
+
+  return {
+    type: best.type,
+    confidence: round(best.confidence, 3),
+    baseColor,
+    baseInPalette: inPalette,
+    baseHue: round(best.baseHue, 1),
+    angle: best.angle,
+    candidates: ranked
+  };
+}
+
+/**
+ * Min, max, mean and standard deviation of a list of numbers
+ */
+function distribution(values, places) {
+  const mean = average(values);
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+  return {
+    min: round(Math.min(...values), places),
+    max: round(Math.max(...values), places),
+    mean: round(mean, places),
+    stdDev: round(Math.sqrt(variance), places)
+  };
+}
+
+/**
+ * Smallest arc of the hue wheel that holds every chromatic hue
+ * @param {number[]} hues
+ * @returns {{spread: number, largestGap: number}|null} Degrees, or null without chromatic colors
+ */
+function hueSpread(hues) {
+  if (hues.length === 0) return null;
+
+  const sorted = [...hues].sort((a, b) => a - b);
+  let largestGap = 360 - sorted[sorted.length - 1] + sorted[0];
+  for (let i = 1; i < sorted.length; i++) {
+    largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+  }
+
+  return { spread: round(360 - largestGap, 1), largestGap: round(largestGap, 1) };
+}
+
+/**
+ * Classify a color's temperature from its HSL hue: reds through yellows are
+ * warm, greens through violets cool, and low-saturation colors neutral
+ */
+function temperature({ h, s }) {
+  if (s < MIN_SATURATION) return 'neutral';
+  return h < 90 || h >= 330 ? 'warm' : 'cool';
+}
+
+/**
+ * Analyze an arbitrary list of colors
+ * @param {string[]} hexes - Hex colors
+ * @returns {Object} Detected harmony, hue/lightness/chroma distribution,
+ *   warm/cool balance, minimum ΔE2000 and near-duplicate pairs
+ */
+export function analyzePalette(hexes) {
+  const colors = hexes.map(hex => {
+    const hsl = hexToHsl(hex);
+    const oklch = hexToOklch(hex);
+    return {
+      hex,
+      hsl,
+      oklch: { l: round(oklch.l, 3), c: round(oklch.c, 3), h: round(oklch.h, 1) },
+      temperature: temperature(hsl)
+    };
+  });
+
+  const pairs = [];
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      pairs.push({
+        indices: [i, j],
+        colors: [colors[i].hex, colors[j].hex],
+        deltaE: round(deltaE2000(colors[i].hex, colors[j].hex), 2)
+      });
+    }
+  }
+  const closest = pairs.reduce((a, b) => (!a || b.deltaE < a.deltaE ? b : a), null);
+
+  const count = (kind) => colors.filter(color => color.temperature === kind).length;
+  const warm = count('warm');
+  const cool = count('cool');
+  const balance = warm + cool > 0 ? (warm - cool) / (warm + cool) : 0;
+
+  const chromaticHues = colors
+    .filter(({ hsl }) => hsl.s >= MIN_SATURATION && hsl.l >= LIGHTNESS_RANGE[0] && hsl.l <= LIGHTNESS_RANGE[1])
+    .map(({ hsl }) => hsl.h);
+
+  return {
+    count: colors.length,
+    colors,
+    harmony: detectHarmony(colors),
+    hue: hueSpread(chromaticHues),
+    lightness: distribution(colors.map(color => color.oklch.l), 3),
+    chroma: distribution(colors.map(color => color.oklch.c), 3),
+    temperature: {
+      warm,
+      cool,
+      neutral: count('neutral'),
+      balance: round(balance, 2),
+      dominant: balance > 0.2 ? 'warm' : balance < -0.2 ? 'cool' : 'balanced'
+    },
+    minDeltaE: closest,
+    nearDuplicates: pairs.filter(pair => pair.deltaE < NEAR_DUPLICATE_DELTA_E)
+  };
+}
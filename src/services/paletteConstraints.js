@@ -0,0 +1,221 @@
+/**
+ * Generation constraints: lightness and saturation ranges, excluded hues
+ * and a minimum perceptual distance between colors
+ */
+
+import { hexToHsl, hslToHex, deltaE2000, normalizeHue } from '../utils/colorUtils.js';
+
+/**
+ * Most palettes generatePalette tries before giving up on the constraints
+ */
+export const MAX_CONSTRAINT_ATTEMPTS = 100;
+
+/**
+ * Saturation and lightness ranges random colors are drawn from when unconstrained
+ */
+const DEFAULT_RANGES = { minS: 50, maxS: 90, minL: 35, maxL: 65 };
+
+/**
+ * Raised when generated colors can't be made to meet the constraints
+ */
+export class ConstraintError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<Object>} violations - Constraints the closest palette still broke
+   * @param {number} attempts - Palettes tried
+   */
+  constructor(message, violations, attempts) {
+    super(message);
+    this.name = 'ConstraintError';
+    this.violations = violations;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Fill in defaults for a constraints object
+ * @param {Object} constraints
+ * @param {number} [constraints.minL] - Lowest HSL lightness (0-100)
+ * @param {number} [constraints.maxL] - Highest HSL lightness (0-100)
+ * @param {number} [constraints.minS] - Lowest HSL saturation (0-100)
+ * @param {number} [constraints.maxS] - Highest HSL saturation (0-100)
+ * @param {Array<[number, number]>} [constraints.excludeHues] - Hue ranges to avoid, in degrees;
+ *   a range whose start is past its end wraps through 0 (e.g. [330, 30] for reds)
+ * @param {number} [constraints.minDeltaE] - Smallest CIEDE2000 distance between any two colors
+ * @returns {Object} Constraints with every field set
+ */
+export function normalizeConstraints(constraints) {
+  const {
+    minL = 0,
+    maxL = 100,
+    minS = 0,
+    maxS = 100,
+    excludeHues = [],
+    minDeltaE = 0
+  } = constraints;
+
+  return { minL, maxL, minS, maxS, excludeHues, minDeltaE };
+}
+
+/**
+ * Check whether a hue falls in one of the excluded ranges
+ * @param {number} hue - Hue in degrees
+ * @param {Array<[number, number]>} excludeHues
+ * @returns {boolean}
+ */
+export function isHueExcluded(hue, excludeHues) {
+  const h = normalizeHue(hue);
+  return excludeHues.some(([start, end]) => {
+    const from = normalizeHue(start);
+    const to = end - start >= 360 ? from + 360 : normalizeHue(end);
+    return from <= to ? h >= from && h <= to : h >= from || h <= to;
+  });
+}
+
+/**
+ * Whole-degree hues outside every excluded range
+ * @param {Array<[number, number]>} excludeHues
+ * @returns {number[]}
+ */
+export function allowedHues(excludeHues) {
+  return Array.from({ length: 360 }, (_, h) => h).filter(h => !isHueExcluded(h, excludeHues));
+}
+
+/**
+ * Nearest allowed hue, stepping outward a degree at a time
+ */
+function nearestAllowedHue(hue, excludeHues) {
+  for (let offset = 1; offset <= 180; offset++) {
+    for (const candidate of [hue - offset, hue + offset]) {
+      if (!isHueExcluded(candidate, excludeHues)) {
+        return normalizeHue(Math.round(candidate));
+      }
+    }
+  }
+  return hue;
+}
+
+/**
+ * Saturation and lightness ranges for randomHsl under the constraints: the
+ * default ranges narrowed to the constraints, or the constraint ranges alone
+ * when the two don't overlap
+ * @param {Object} constraints - Normalized constraints
+ * @returns {{minS: number, maxS: number, minL: number, maxL: number}}
+ */
+export function constrainedRanges({ minS, maxS, minL, maxL }) {
+  const overlap = (min, max, defaultMin, defaultMax) => {
+    const low = Math.max(min, defaultMin);
+    const high = Math.min(max, defaultMax);
+    return low <= high ? [low, high] : [min, max];
+  };
+
+  const [lowS, highS] = overlap(minS, maxS, DEFAULT_RANGES.minS, DEFAULT_RANGES.maxS);
+  const [lowL, highL] = overlap(minL, maxL, DEFAULT_RANGES.minL, DEFAULT_RANGES.maxL);
+  return { minS: lowS, maxS: highS, minL: lowL, maxL: highL };
+}
+
+/**
+ * Move a random hue into the allowed hues, spreading draws evenly over them
+ * @param {{h: number, s: number, l: number}} hsl - Color from randomHsl
+ * @param {number[]} hues - Allowed hues
+ * @returns {{h: number, s: number, l: number}}
+ */
+export function withAllowedHue(hsl, hues) {
+  if (hues.length === 360) return hsl;
+  return { ...hsl, h: hues[Math.floor(hsl.h / 360 * hues.length)] };
+}
+
+/**
+ * Fit values into a range while keeping their spacing: a set that fits is
+ * shifted in, a wider one is scaled down to fill the range
+ * @param {number[]} values
+ * @param {number} min
+ * @param {number} max
+ * @returns {number[]}
+ */
+function fitRange(values, min, max) {
+  if (values.length === 0) return values;
+
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  if (low >= min && high <= max) return values;
+
+  if (high - low <= max - min) {
+    const shift = low < min ? min - low : max - high;
+    return values.map(value => value + shift);
+  }
+  return values.map(value => min + (value - low) / (high - low) * (max - min));
+}
+
+/**
+ * Bring colors within the lightness, saturation and hue constraints. Lightness
+ * and saturation are fitted as a set so the colors keep their relative
+ * differences; excluded hues move to the nearest allowed hue.
+ * @param {string[]} hexes - Colors to adjust
+ * @param {Object} constraints - Normalized constraints
+ * @param {Object} [options]
+ * @param {number[]} [options.fixed] - Indices of colors to leave alone
+ * @param {Array<Object>} [options.jitter] - Saturation and lightness to try instead of each color's own
+ * @returns {string[]} Adjusted hex colors
+ */
+export function constrainColors(hexes, constraints, options = {}) {
+  const { minL, maxL, minS, maxS, excludeHues } = constraints;
+  const { fixed = [], jitter = [] } = options;
+
+  const free = hexes.map((_, index) => index).filter(index => !fixed.includes(index));
+  const hsls = free.map(index => ({ ...hexToHsl(hexes[index]), ...jitter[index] }));
+  const lightness = fitRange(hsls.map(hsl => hsl.l), minL, maxL);
+  const saturation = fitRange(hsls.map(hsl => hsl.s), minS, maxS);
+
+  const adjusted = [...hexes];
+  free.forEach((index, i) => {
+    const h = isHueExcluded(hsls[i].h, excludeHues) ? nearestAllowedHue(hsls[i].h, excludeHues) : hsls[i].h;
+    adjusted[index] = hslToHex(h, saturation[i], lightness[i]);
+  });
+  return adjusted;
+}
+
+/**
+ * List every way a set of colors breaks the constraints
+ * @param {string[]} hexes - Colors to check
+ * @param {Object} constraints - Normalized constraints
+ * @returns {Array<Object>} Violations, each naming the constraint, the offending
+ *   color (index and hex) or pair (indices and colors), its value and the limit
+ */
+export function findViolations(hexes, constraints) {
+  const { minL, maxL, minS, maxS, excludeHues, minDeltaE } = constraints;
+  const violations = [];
+
+  hexes.forEach((hex, index) => {
+    const { h, s, l } = hexToHsl(hex);
+    const violation = (constraint, value, limit) => ({ constraint, index, hex, value, limit });
+
+    if (l < minL) violations.push(violation('minL', l, minL));
+    if (l > maxL) violations.push(violation('maxL', l, maxL));
+    if (s < minS) violations.push(violation('minS', s, minS));
+    if (s > maxS) violations.push(violation('maxS', s, maxS));
+    // Grays have no hue to exclude
+    if (s > 0 && isHueExcluded(h, excludeHues)) {
+      violations.push(violation('excludeHues', h, excludeHues));
+    }
+  });
+
+  if (minDeltaE > 0) {
+    for (let i = 0; i < hexes.length; i++) {
+      for (let j = i + 1; j < hexes.length; j++) {
+        const deltaE = deltaE2000(hexes[i], hexes[j]);
+        if (deltaE < minDeltaE) {
+          violations.push({
+            constraint: 'minDeltaE',
+            indices: [i, j],
+            colors: [hexes[i], hexes[j]],
+            value: Math.round(deltaE * 100) / 100,
+            limit: minDeltaE
+          });
+        }
+      }
+    }
+  }
+
+  return violations;
+}
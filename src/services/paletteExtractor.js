@@ -0,0 +1,273 @@
+/**
+ * Dominant color extraction from images
+ */
+
+import {
+  rgbToHex,
+  rgbToOklab,
+  oklabToRgb,
+  createRng
+} from '../utils/colorUtils.js';
+import { paletteFromColors } from './colorGenerator.js';
+import { decodeImage } from './imageDecoder.js';
+
+/**
+ * Available clustering methods
+ */
+export const EXTRACTION_METHODS = ['kmeans', 'median-cut'];
+
+/**
+ * Pixels sampled from an image before clustering
+ */
+const MAX_SAMPLES = 10000;
+
+const KMEANS_ITERATIONS = 20;
+
+/**
+ * Sample opaque pixels on an even grid and convert them to OKLab
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA image
+ * @returns {Array<number[]>} [l, a, b] points
+ */
+function samplePixels(image) {
+  const { width, height, data } = image;
+  const step = Math.max(1, Math.floor(Math.sqrt(width * height / MAX_SAMPLES)));
+  const points = [];
+
+  for (let y = Math.floor(step / 2); y < height; y += step) {
+    for (let x = Math.floor(step / 2); x < width; x += step) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] < 128) continue;
+      const { l, a, b } = rgbToOklab(data[i], data[i + 1], data[i + 2]);
+      points.push([l, a, b]);
+    }
+  }
+
+  return points;
+}
+
+function distanceSquared(p, q) {
+  const dl = p[0] - q[0];
+  const da = p[1] - q[1];
+  const db = p[2] - q[2];
+  return dl * dl + da * da + db * db;
+}
+
+function mean(points) {
+  const sum = [0, 0, 0];
+  points.forEach(p => {
+    sum[0] += p[0];
+    sum[1] += p[1];
+    sum[2] += p[2];
+  });
+  return sum.map(v => v / points.length);
+}
+
+/**
+ * k-means clustering with k-means++ seeding
+ * @param {Array<number[]>} points - OKLab points
+ * @param {number} k - Number of clusters
+ * @returns {Array<{center: number[], size: number}>}
+ */
+function kMeans(points, k) {
+  const rng = createRng('extract');
+  const centers = [points[Math.floor(rng() * points.length)]];
+  const nearest = points.map(p => distanceSquared(p, centers[0]));
+
+  while (centers.length < k) {
+    const total = nearest.reduce((sum, d) => sum + d, 0);
+    // Every point already coincides with a center
+    if (total === 0) break;
+
+    let target = rng() * total;
+    let index = 0;
+    while (index < points.length - 1 && target >= nearest[index]) {
+      target -= nearest[index];
+      index++;
+    }
+
+    centers.push(points[index]);
+    points.forEach((p, i) => {
+      nearest[i] = Math.min(nearest[i], distanceSquared(p, points[index]));
+    });
+  }
+
+  const assignments = new Array(points.length).fill(-1);
+  let clusters = [];
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    let changed = false;
+
+    points.forEach((p, i) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centers.forEach((center, j) => {
+        const d = distanceSquared(p, center);
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = j;
+        }
+      });
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    });
+
+    clusters = centers.map(() => []);
+    points.forEach((p, i) => clusters[assignments[i]].push(p));
+    clusters.forEach((members, j) => {
+      if (members.length > 0) centers[j] = mean(members);
+    });
+
+    if (!changed) break;
+  }
+
+  return centers
+    .map((center, j) => ({ center, size: clusters[j].length }))
+    .filter(cluster => cluster.size > 0);
+}
+
+/**
+ * A box's most frequent color, breaking ties by closeness to the box mean,
+ * so the reported color is one that actually appears in the image
+ * @param {Array<number[]>} box - OKLab points
+ * @returns {number[]}
+ */
+function representative(box) {
+  const counts = new Map();
+  box.forEach(p => {
+    const key = p.join(',');
+    const entry = counts.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      counts.set(key, { point: p, count: 1 });
+    }
+  });
+
+  const center = mean(box);
+  let best = null;
+  counts.forEach(entry => {
+    if (!best || entry.count > best.count ||
+      (entry.count === best.count && distanceSquared(entry.point, center) < distanceSquared(best.point, center))) {
+      best = entry;
+    }
+  });
+  return best.point;
+}
+
+/**
+ * Median cut: repeatedly split the box with the widest channel range at its median
+ * @param {Array<number[]>} points - OKLab points
+ * @param {number} k - Number of boxes
+ * @returns {Array<{center: number[], size: number}>} Boxes with their most frequent color as center
+ */
+function medianCut(points, k) {
+  const widestChannel = (box) => {
+    let channel = 0;
+    let range = 0;
+    for (let c = 0; c < 3; c++) {
+      let min = Infinity;
+      let max = -Infinity;
+      box.forEach(p => {
+        min = Math.min(min, p[c]);
+        max = Math.max(max, p[c]);
+      });
+      if (max - min > range) {
+        range = max - min;
+        channel = c;
+      }
+    }
+    return { channel, range };
+  };
+
+  const boxes = [points];
+
+  while (boxes.length < k) {
+    let target = -1;
+    let split = null;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const widest = widestChannel(box);
+      if (widest.range > 0 && (!split || widest.range > split.range)) {
+        target = i;
+        split = widest;
+      }
+    });
+    if (target === -1) break;
+
+    const { channel } = split;
+    const sorted = [...boxes[target]].sort((p, q) => p[channel] - q[channel]);
+
+    // Cut at the distinct-value boundary nearest the median, so equal values
+    // stay in one box (the range is non-zero, so a boundary exists)
+    const isBoundary = (i) => i > 0 && i < sorted.length && sorted[i - 1][channel] !== sorted[i][channel];
+    const middle = Math.floor(sorted.length / 2);
+    let cut = middle;
+    for (let offset = 0; !isBoundary(cut); offset++) {
+      if (isBoundary(middle - offset)) {
+        cut = middle - offset;
+      } else if (isBoundary(middle + offset)) {
+        cut = middle + offset;
+      }
+    }
+
+    boxes.splice(target, 1, sorted.slice(0, cut), sorted.slice(cut));
+  }
+
+  return boxes.map(box => ({ center: representative(box), size: box.length }));
+}
+
+/**
+ * Find an image's dominant colors, most prominent first
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA image
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of colors (2-6, default: 5)
+ * @param {string} [options.method] - 'kmeans' or 'median-cut' (default: kmeans)
+ * @returns {Array<{hex: string, population: number}>} Colors with their share of sampled pixels
+ */
+export function extractColors(image, options = {}) {
+  const { count = 5, method = 'kmeans' } = options;
+  const k = Math.max(2, Math.min(6, count));
+  const points = samplePixels(image);
+
+  if (points.length === 0) {
+    throw new Error('Image has no opaque pixels');
+  }
+
+  const clusters = method === 'median-cut' ? medianCut(points, k) : kMeans(points, k);
+
+  return clusters
+    .sort((p, q) => q.size - p.size)
+    .map(({ center, size }) => {
+      const { r, g, b } = oklabToRgb(center[0], center[1], center[2]);
+      return {
+        hex: rgbToHex(r, g, b),
+        population: Math.round(size / points.length * 1000) / 1000
+      };
+    });
+}
+
+/**
+ * Decode an uploaded image and build a palette from its dominant colors.
+ * Roles follow prominence: the most common color becomes primary.
+ * @param {Buffer} buffer - PNG, JPEG or PPM file contents
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of colors (2-6, default: 5)
+ * @param {string} [options.method] - 'kmeans' or 'median-cut' (default: kmeans)
+ * @param {boolean} [options.contrast] - Attach a pairwise contrast report
+ * @param {boolean} [options.scales] - Add a 50-950 tint/shade scale to each color
+ * @returns {Object} Palette with a population share on each color
+ */
+export function extractPalette(buffer, options = {}) {
+  const { count, method, contrast = false, scales = false } = options;
+  const extracted = extractColors(decodeImage(buffer), { count, method });
+  const palette = paletteFromColors(extracted, { harmony: 'image', contrast, scales });
+
+  palette.method = method || 'kmeans';
+  palette.colors.forEach((color, i) => {
+    color.population = extracted[i].population;
+  });
+
+  return palette;
+}
@@ -0,0 +1,609 @@
+/**
+ * Palette import from CSS custom properties, SCSS variables and maps,
+ * Tailwind color configs and JSON palette exports
+ */
+
+import { parseColor, rgbToHex } from '../utils/colorUtils.js';
+import { SCALE_STEPS } from './scaleGenerator.js';
+import { SEMANTIC_ROLES } from './semanticColors.js';
+
+/**
+ * Formats palettes can be imported from
+ */
+export const IMPORT_FORMATS = ['css', 'scss', 'tailwind', 'json'];
+
+/**
+ * Roles harmony colors fill, in palette order
+ */
+const HARMONY_ROLES = ['primary', 'accent-1', 'accent-2', 'accent-3', 'accent-4', 'accent-5'];
+
+/**
+ * Variable names (after prefixes like --color- are dropped) that map onto each role
+ */
+const ROLE_ALIASES = {
+  'primary': ['primary', 'brand', 'main'],
+  'accent-1': ['accent-1', 'accent', 'secondary'],
+  'accent-2': ['accent-2', 'tertiary'],
+  'accent-3': ['accent-3'],
+  'accent-4': ['accent-4'],
+  'accent-5': ['accent-5'],
+  'success': ['success', 'positive'],
+  'warning': ['warning', 'warn', 'caution'],
+  'danger': ['danger', 'error', 'destructive', 'negative'],
+  'info': ['info', 'notice']
+};
+
+const ROLE_BY_NAME = Object.fromEntries(
+  Object.entries(ROLE_ALIASES).flatMap(([role, names]) => names.map(name => [name, role]))
+);
+
+// Prefixes dropped from variable names before they're matched to roles
+const NAME_PREFIX = /^(?:(?:bs|colou?rs?|palette|theme|clr)-)+/;
+
+// Neutrals that come with most color sets, and UI tokens (body-bg, text-muted,
+// border-color...) derived from a palette rather than part of it
+const IGNORED_NAMES = ['white', 'black', 'light', 'dark', 'transparent', 'current', 'inherit'];
+const IGNORED_TOKEN = /^(body|background|bg|surface|text|foreground|border|link|focus|shadow|outline)(-|$)/;
+
+/**
+ * Guess the format of pasted or uploaded text
+ * @param {string} text
+ * @returns {string|null} One of IMPORT_FORMATS, or null when nothing matches
+ */
+export function detectImportFormat(text) {
+  const trimmed = text.trim();
+
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Not JSON; may still be a JavaScript object
+    }
+  }
+  if (/\bmodule\.exports\b|\bexport\s+default\b|\bcolors\s*:\s*\{/.test(text)) return 'tailwind';
+  if (/(?:^|[;{}])\s*\$[\w-]+\s*:/m.test(text)) return 'scss';
+  if (/--[\w-]+\s*:/.test(text)) return 'css';
+  if (trimmed.startsWith('{')) return 'tailwind';
+  return null;
+}
+
+/**
+ * Remove comments outside of strings
+ * @param {string} text
+ * @param {boolean} lineComments - Also remove // comments (SCSS)
+ * @returns {string}
+ */
+function stripComments(text, lineComments) {
+  let result = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      result += ch;
+      if (ch === '\\') result += text[++i] || '';
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      result += ch;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end < 0 ? text.length : end + 1;
+    } else if (lineComments && text.startsWith('//', i) && text[i - 1] !== ':') {
+      const end = text.indexOf('\n', i);
+      i = end < 0 ? text.length : end - 1;
+    } else {
+      result += ch;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Split text on a separator, ignoring separators inside brackets or strings
+ * @param {string} text
+ * @param {string} separator - Single character
+ * @param {number} [limit] - Most pieces to return; the last keeps the rest
+ * @returns {string[]}
+ */
+function splitTopLevel(text, separator, limit = Infinity) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length && parts.length < limit - 1; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function unquote(text) {
+  return text.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Replace var(--name) and $name references with the referenced value
+ * @param {string} value
+ * @param {Map<string, string>} variables - Values by variable name
+ * @returns {string}
+ */
+function resolveReferences(value, variables) {
+  let resolved = value;
+
+  // References can chain, but not forever
+  for (let depth = 0; depth < 10; depth++) {
+    const cssVar = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/.exec(resolved);
+    const scssVar = /^\$[\w-]+$/.exec(resolved);
+
+    if (cssVar) {
+      resolved = variables.get(cssVar[1]) ?? (cssVar[2] || resolved);
+      if (!variables.has(cssVar[1]) && !cssVar[2]) break;
+    } else if (scssVar && variables.has(resolved)) {
+      resolved = variables.get(resolved);
+    } else {
+      break;
+    }
+    resolved = resolved.trim();
+  }
+
+  return resolved;
+}
+
+/**
+ * Custom properties from CSS (first definition of each wins, so a light
+ * :root block takes precedence over a later dark one)
+ * @returns {Array<{name: string, value: string}>}
+ */
+function parseCss(text) {
+  const source = stripComments(text, false);
+  const entries = [];
+  const pattern = /(--[\w-]+)\s*:\s*([^;{}]+)/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    entries.push({ name: match[1], value: match[2].replace(/!important/i, '').trim() });
+  }
+
+  return entries;
+}
+
+/**
+ * Entries of a Sass map, flattening nested maps. Numeric keys are scale steps
+ * of the map (or entry) they belong to.
+ * @param {string} body - Map contents, without the outer parentheses
+ * @param {string} path - Display name of the map, e.g. $palette
+ * @param {string|null} key - Role-matching name of the enclosing entry (null at the top level)
+ * @param {string} mapName - Name of the map variable, without the $
+ * @returns {Array<{name: string, key: string, value: string}>}
+ */
+function parseScssMap(body, path, key, mapName) {
+  return splitTopLevel(body, ',').flatMap(pair => {
+    const [rawKey, rawValue] = splitTopLevel(pair, ':', 2);
+    if (rawValue === undefined) return [];
+
+    const entryKey = unquote(rawKey);
+    const name = `${path}.${entryKey}`;
+    const matchKey = /^\d+$/.test(entryKey) ? `${key || mapName}-${entryKey}` : (key ? `${key}-${entryKey}` : entryKey);
+
+    if (isScssMap(rawValue)) {
+      return parseScssMap(rawValue.slice(1, -1), name, matchKey, mapName);
+    }
+    return [{ name, key: matchKey, value: rawValue }];
+  });
+}
+
+function isScssMap(value) {
+  return value.startsWith('(') && value.endsWith(')') &&
+    splitTopLevel(value.slice(1, -1), ',').some(pair => splitTopLevel(pair, ':', 2).length === 2);
+}
+
+/**
+ * SCSS variables and maps, plus any custom properties in the same file
+ * @returns {Array<{name: string, key?: string, value: string}>}
+ */
+function parseScss(text) {
+  const source = stripComments(text, true);
+  const entries = [];
+  const pattern = /\$([\w-]+)\s*:/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    // Only declarations; skip keyword arguments like mixin($size: 1rem)
+    let before = match.index - 1;
+    while (before >= 0 && /\s/.test(source[before])) before--;
+    if (before >= 0 && !';{}'.includes(source[before])) continue;
+
+    // The value runs to the end of the statement or block
+    let depth = 0;
+    let quote = null;
+    let end = pattern.lastIndex;
+    for (; end < source.length; end++) {
+      const ch = source[end];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+      } else if ((ch === ';' || ch === '}') && depth === 0) {
+        break;
+      }
+    }
+
+    const value = source.slice(pattern.lastIndex, end).replace(/!(default|global)/g, '').trim();
+    pattern.lastIndex = end;
+
+    if (isScssMap(value)) {
+      entries.push(...parseScssMap(value.slice(1, -1), `$${match[1]}`, null, match[1]));
+    } else {
+      entries.push({ name: `$${match[1]}`, value });
+    }
+  }
+
+  return [...entries, ...parseCss(text)];
+}
+
+/**
+ * Split JavaScript into strings, words and punctuation, dropping comments
+ * @returns {Array<{type: string, value: string}>}
+ */
+function tokenizeJs(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end < 0 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end < 0 ? text.length : end + 2;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) {
+        if (text[j] === '\\') j++;
+        value += text[j++] || '';
+      }
+      // Template literals with substitutions can't be evaluated here
+      tokens.push({ type: ch === '`' && value.includes('${') ? 'expression' : 'string', value });
+      i = j + 1;
+    } else if (/[\w$.]/.test(ch)) {
+      const word = /^[\w$.]+/.exec(text.slice(i))[0];
+      tokens.push({ type: 'word', value: word });
+      i += word.length;
+    } else {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a JavaScript object literal into a plain object of strings and nested
+ * objects; any other value (function calls, references, spreads) is null
+ * @param {Array<Object>} tokens
+ * @param {number} start - Index of the opening brace
+ * @returns {{value: Object, end: number}} The object and the index after its closing brace
+ */
+function parseJsObject(tokens, start) {
+  const object = {};
+  let i = start + 1;
+
+  // Skip to the next comma or closing bracket at this depth
+  const skipExpression = () => {
+    let depth = 0;
+    for (; i < tokens.length; i++) {
+      const { type, value } = tokens[i];
+      if (type !== 'punct') continue;
+      if ('([{'.includes(value)) depth++;
+      else if (')]}'.includes(value)) {
+        if (depth === 0) return;
+        depth--;
+      } else if (value === ',' && depth === 0) return;
+    }
+  };
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    if (token.type === 'punct' && token.value === '}') {
+      return { value: object, end: i + 1 };
+    }
+    if (token.type === 'punct' && token.value === ',') {
+      i++;
+      continue;
+    }
+
+    const next = tokens[i + 1];
+    if ((token.type === 'word' || token.type === 'string') && next && next.value === ':') {
+      i += 2;
+      const valueToken = tokens[i];
+      const after = tokens[i + 1];
+      if (valueToken && valueToken.type === 'punct' && valueToken.value === '{') {
+        const nested = parseJsObject(tokens, i);
+        object[token.value] = nested.value;
+        i = nested.end;
+      } else if (valueToken && valueToken.type === 'string' &&
+                 (!after || (after.type === 'punct' && ',}'.includes(after.value)))) {
+        object[token.value] = valueToken.value;
+        i++;
+      } else {
+        object[token.value] = null;
+        skipExpression();
+      }
+    } else {
+      // Spreads, shorthand properties, methods and computed keys
+      skipExpression();
+    }
+  }
+
+  return { value: object, end: i };
+}
+
+/**
+ * Flatten Tailwind's nested colors into hyphenated names, with DEFAULT
+ * standing for the parent (blue.DEFAULT is blue, blue.500 is blue-500)
+ * @returns {Array<{name: string, value: string|null}>}
+ */
+function flattenTailwindColors(colors, prefix = '') {
+  return Object.entries(colors).flatMap(([key, value]) => {
+    const name = prefix ? (key === 'DEFAULT' ? prefix : `${prefix}-${key}`) : key;
+    if (value && typeof value === 'object') {
+      return flattenTailwindColors(value, name);
+    }
+    return [{ name, value }];
+  });
+}
+
+/**
+ * Colors from a Tailwind config: every `colors: {...}` object (theme.colors and
+ * theme.extend.colors), or the first object literal when the text is just a color block
+ * @returns {Array<{name: string, value: string|null}>}
+ */
+function parseTailwind(text) {
+  const tokens = tokenizeJs(text);
+  const blocks = [];
+
+  for (let i = 0; i < tokens.length - 2; i++) {
+    const [key, colon, brace] = tokens.slice(i, i + 3);
+    if ((key.type === 'word' || key.type === 'string') && key.value === 'colors' &&
+        colon.value === ':' && brace.value === '{') {
+      const { value, end } = parseJsObject(tokens, i + 2);
+      blocks.push(value);
+      i = end - 1;
+    }
+  }
+
+  if (blocks.length === 0) {
+    const start = tokens.findIndex(token => token.type === 'punct' && token.value === '{');
+    if (start >= 0) blocks.push(parseJsObject(tokens, start).value);
+  }
+
+  return blocks.flatMap(block => flattenTailwindColors(block));
+}
+
+/**
+ * Flatten a design-token tree ({ $value } or { value } leaves, or plain color
+ * strings) into hyphenated names; a 'base' or 'DEFAULT' leaf stands for its parent
+ */
+function flattenTokens(tree, path = []) {
+  return Object.entries(tree).flatMap(([key, node]) => {
+    if (key.startsWith('$')) return [];
+
+    const keyPath = ['base', 'DEFAULT'].includes(key) ? path : [...path, key];
+    const value = node && typeof node === 'object' ? (node.$value ?? node.value) : node;
+
+    if (typeof value === 'string') {
+      return [{ name: [...path, key].join('.'), key: keyPath.join('-'), value }];
+    }
+    if (node && typeof node === 'object') {
+      return flattenTokens(node, [...path, key]);
+    }
+    return [];
+  });
+}
+
+/**
+ * Colors from a JSON palette export or saved palette ({ colors: [{hex, role}] }),
+ * a bare array of colors, or a design-token tree
+ * @returns {{entries: Array<Object>, name?: string, harmony?: string}}
+ */
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.colors) ? data.colors : null);
+  if (!list) {
+    return { entries: data && typeof data === 'object' ? flattenTokens(data) : [] };
+  }
+
+  const entries = list.map((color, index) => {
+    if (typeof color === 'string') {
+      return { name: `colors[${index}]`, key: null, value: color };
+    }
+    const role = color && typeof color.role === 'string' ? color.role : null;
+    return {
+      name: role || `colors[${index}]`,
+      key: role,
+      value: color && typeof color.hex === 'string' ? color.hex : null
+    };
+  });
+
+  return {
+    entries,
+    name: typeof data.name === 'string' ? data.name : undefined,
+    harmony: typeof data.harmony === 'string' ? data.harmony : undefined
+  };
+}
+
+/**
+ * Reduce a variable name to the words roles are matched against:
+ * --color-accent-1, $colorAccent1 and accent1 all become accent-1
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return name
+    .replace(/^(--|\$|@)/, '')
+    .replace(/([a-z])([A-Z])/g, '$1-$2')
+    .replace(/([a-zA-Z])(\d)/g, '$1-$2')
+    .replace(/[\s_./]+/g, '-')
+    .toLowerCase()
+    .replace(NAME_PREFIX, '');
+}
+
+/**
+ * Split a trailing 50-950 scale step off a normalized name
+ * @returns {{base: string, step: number|null}}
+ */
+function splitStep(name) {
+  const match = /^(.*?)-?(\d+)$/.exec(name);
+  if (match && SCALE_STEPS.includes(Number(match[2]))) {
+    return { base: match[1], step: Number(match[2]) };
+  }
+  return { base: name.replace(/-default$/, ''), step: null };
+}
+
+/**
+ * Hex value of a color string, or null for anything that isn't a visible color
+ */
+function toHex(value) {
+  const rgb = typeof value === 'string' ? parseColor(value) : null;
+  if (!rgb || rgb.alpha === 0) return null;
+  return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+/**
+ * The color that stands for a group: its unstepped value, else step 500,
+ * else its middle step
+ */
+function groupColor(group) {
+  const unstepped = group.variables.find(variable => variable.step === null);
+  if (unstepped) return unstepped.hex;
+
+  const steps = [...group.variables].sort((a, b) => a.step - b.step);
+  const fiveHundred = steps.find(variable => variable.step === 500);
+  return (fiveHundred || steps[Math.floor((steps.length - 1) / 2)]).hex;
+}
+
+/**
+ * Parse palette source text and map its variables back to palette roles.
+ * Variables are grouped by name (a color and its 50-950 steps form one group);
+ * groups named after a role (primary, accent-1, secondary, success, error...)
+ * take that role, and the rest fill the free harmony roles in source order.
+ * @param {string} text - CSS, SCSS, Tailwind config or JSON
+ * @param {string} [format] - One of IMPORT_FORMATS, or 'auto' to detect it (default)
+ * @returns {Object} Detected format, palette name and harmony (JSON only), colors
+ *   [{hex, role}] in palette order, every color variable found ({name, value, hex,
+ *   step, role}, role null when unused) and variables skipped as not colors
+ */
+export function importPalette(text, format = 'auto') {
+  const detected = format === 'auto' ? detectImportFormat(text) : format;
+  if (!detected) {
+    throw new Error(`Could not tell the format; choose one of ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let parsed;
+  if (detected === 'json') parsed = parseJson(text);
+  else if (detected === 'scss') parsed = { entries: parseScss(text) };
+  else if (detected === 'tailwind') parsed = { entries: parseTailwind(text) };
+  else parsed = { entries: parseCss(text) };
+
+  const values = new Map();
+  parsed.entries.forEach(({ name, value }) => {
+    if (typeof value === 'string' && !values.has(name)) values.set(name, value.trim());
+  });
+
+  const variables = [];
+  const skipped = [];
+  const groups = new Map();
+
+  parsed.entries.forEach((entry, index) => {
+    const value = typeof entry.value === 'string' ? entry.value.trim() : entry.value;
+    const hex = toHex(typeof value === 'string' ? resolveReferences(value, values) : null);
+    if (!hex) {
+      skipped.push({ name: entry.name, value });
+      return;
+    }
+
+    const key = entry.key === undefined ? entry.name : entry.key;
+    const { base, step } = key ? splitStep(normalizeName(key)) : { base: '', step: null };
+    // Unnamed colors each form their own group
+    const groupKey = base || `#${index}`;
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key: groupKey, variables: [], role: null });
+    }
+    const group = groups.get(groupKey);
+    const variable = { name: entry.name, value, hex, step, group };
+    variables.push(variable);
+
+    // Repeated definitions (e.g. $color-primary and $palette.primary) keep the first
+    if (!group.variables.some(other => other.step === step)) {
+      group.variables.push(variable);
+    }
+  });
+
+  // Named roles first, then the remaining groups fill the free harmony roles
+  const taken = new Set();
+  const unmatched = [];
+  for (const group of groups.values()) {
+    const role = ROLE_BY_NAME[group.key];
+    if (role && !taken.has(role)) {
+      group.role = role;
+      taken.add(role);
+    } else if (!IGNORED_NAMES.includes(group.key) && !IGNORED_TOKEN.test(group.key)) {
+      unmatched.push(group);
+    }
+  }
+
+  const freeRoles = HARMONY_ROLES.filter(role => !taken.has(role));
+  unmatched.slice(0, freeRoles.length).forEach((group, i) => {
+    group.role = freeRoles[i];
+  });
+
+  const roleOrder = [...HARMONY_ROLES, ...SEMANTIC_ROLES];
+  const colors = [...groups.values()]
+    .filter(group => group.role)
+    .sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role))
+    .map(group => ({ hex: groupColor(group), role: group.role }));
+
+  return {
+    format: detected,
+    name: parsed.name,
+    harmony: parsed.harmony,
+    colors,
+    variables: variables.map(({ group, ...variable }) => ({ ...variable, role: group.role })),
+    skipped
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Saved palette library, persisted to a local JSON file
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { isSemanticRole } from './semanticColors.js';
+
+/**
+ * Location of the store (override with NODE_SWATCH_PALETTES_FILE)
+ */
+const STORE_FILE = process.env.NODE_SWATCH_PALETTES_FILE ||
+  fileURLToPath(new URL('../../data/palettes.json', import.meta.url));
+
+/**
+ * Stored parameters that produced a palette's colors
+ */
+const GENERATION_FIELDS = ['harmony', 'angle', 'space', 'seed', 'accessible'];
+
+// In-memory copy of the store, loaded on first use
+let palettes = null;
+
+// Writes are chained so concurrent requests never interleave file updates
+let writeQueue = Promise.resolve();
+
+async function load() {
+  if (palettes) return palettes;
+
+  try {
+    const parsed = JSON.parse(await readFile(STORE_FILE, 'utf8'));
+    palettes = Array.isArray(parsed.palettes) ? parsed.palettes : [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Could not read palette store ${STORE_FILE}: ${err.message}`);
+    }
+    palettes = [];
+  }
+
+  return palettes;
+}
+
+/**
+ * Write the store atomically (temp file + rename)
+ */
+function persist() {
+  const snapshot = JSON.stringify({ palettes }, null, 2);
+  const write = writeQueue.then(async () => {
+    await mkdir(dirname(STORE_FILE), { recursive: true });
+    const temp = `${STORE_FILE}.tmp`;
+    await writeFile(temp, snapshot);
+    await rename(temp, STORE_FILE);
+  });
+  // A failed write is reported to its caller but doesn't block later ones
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Normalize tags to a unique list of trimmed, lowercase strings
+ * @param {string[]|string} tags - Array or comma-separated string
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Pick the stored fields of a palette. Fields are expected to be validated
+ * already (see parseSavedPaletteBody in the API routes).
+ */
+function toRecord(data) {
+  return {
+    name: data.name.trim(),
+    tags: normalizeTags(data.tags),
+    harmony: data.harmony || 'custom',
+    count: data.colors.filter(color => !isSemanticRole(color.role)).length,
+    baseColor: data.baseColor || data.colors[0].hex,
+    angle: Number.isFinite(data.angle) ? data.angle : null,
+    space: data.space || 'hsl',
+    seed: data.seed !== undefined && data.seed !== null ? String(data.seed) : null,
+    accessible: typeof data.accessible === 'string' ? data.accessible : null,
+    colors: data.colors.map(({ hex, role, name }) => ({ hex, role, ...(name ? { name } : {}) }))
+  };
+}
+
+/**
+ * List saved palettes, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.q] - Case-insensitive text matched against names and tags
+ * @param {string[]} [filter.tags] - Only palettes carrying all of these tags
+ * @param {string} [filter.harmony] - Only palettes of this harmony
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPalettes(filter = {}) {
+  const { q, tags = [], harmony } = filter;
+  const query = (q || '').trim().toLowerCase();
+  const all = await load();
+
+  return all
+    .filter(p => !harmony || p.harmony === harmony)
+    .filter(p => tags.every(tag => p.tags.includes(tag)))
+    .filter(p => !query ||
+      p.name.toLowerCase().includes(query) ||
+      p.tags.some(tag => tag.includes(query)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get a saved palette
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getPalette(id) {
+  const all = await load();
+  return all.find(p => p.id === id) || null;
+}
+
+/**
+ * Save a new palette
+ * @param {Object} data - Palette with name, colors and optional tags and generation parameters
+ * @returns {Promise<Object>} The stored palette
+ */
+export async function createPalette(data) {
+  const all = await load();
+  const now = new Date().toISOString();
+  const palette = {
+    id: randomUUID(),
+    ...toRecord(data),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  all.push(palette);
+  try {
+    await persist();
+  } catch (err) {
+    all.splice(all.indexOf(palette), 1);
+    throw err;
+  }
+  return palette;
+}
+
+/**
+ * Update a saved palette. Fields left out of `data` keep their stored values.
+ * @param {string} id
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object|null>} The updated palette, or null if not found
+ */
+export async function updatePalette(id, data) {
+  const all = await load();
+  const index = all.findIndex(p => p.id === id);
+  if (index === -1) return null;
+
+  const existing = all[index];
+  const merged = { ...existing, ...data };
+
+  // Generation parameters describe how the stored colors were made, so new
+  // colors drop any the update doesn't restate
+  const sameColors = (a, b) => a.length === b.length &&
+    a.every((color, i) => color.hex === b[i].hex && color.role === b[i].role);
+  if (data.colors && !sameColors(data.colors, existing.colors)) {
+    GENERATION_FIELDS.filter(field => data[field] === undefined).forEach(field => {
+      merged[field] = null;
+    });
+    if (!data.baseColor) merged.baseColor = data.colors[0].hex;
+  }
+
+  const updated = {
+    id,
+    ...toRecord(merged),
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  all[index] = updated;
+
+  try {
+    await persist();
+  } catch (err) {
+    // Restore the previous version unless another update has replaced it since
+    const current = all.indexOf(updated);
+    if (current !== -1) all[current] = existing;
+    throw err;
+  }
+  return updated;
+}
+
+/**
+ * Delete a saved palette
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether a palette was deleted
+ */
+export async function deletePalette(id) {
+  const all = await load();
+  const index = all.findIndex(p => p.id === id);
+  if (index === -1) return false;
+
+  const [removed] = all.splice(index, 1);
+  try {
+    await persist();
+  } catch (err) {
+    all.splice(Math.min(index, all.length), 0, removed);
+    throw err;
+  }
+  return true;
+}
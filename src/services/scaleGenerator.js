@@ -0,0 +1,61 @@
+/**
+ * Tint/shade scale generation (50-950 ramps)
+ */
+
+import { hexToOklch, oklchToHex } from '../utils/colorUtils.js';
+
+/**
+ * Scale step names, lightest to darkest
+ */
+export const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+/**
+ * OKLCH lightness of the lightest and darkest steps
+ */
+const LIGHTEST_L = 0.97;
+const DARKEST_L = 0.25;
+
+/**
+ * Find the step whose evenly spaced lightness is closest to a given lightness
+ * @param {number} l - OKLCH lightness (0-1)
+ * @returns {number} Index into SCALE_STEPS
+ */
+function naturalStepIndex(l) {
+  const spacing = (LIGHTEST_L - DARKEST_L) / (SCALE_STEPS.length - 1);
+  const index = Math.round((LIGHTEST_L - l) / spacing);
+  return Math.max(0, Math.min(SCALE_STEPS.length - 1, index));
+}
+
+/**
+ * Expand a color into an 11-step ramp with even OKLCH lightness steps.
+ * The color itself lands unchanged on its natural step; steps on either side
+ * are spaced evenly towards the lightest and darkest ends at the same hue and chroma.
+ * @param {string} hex - Base hex color
+ * @returns {{step: number, scale: Object<number, string>}} Base step and step-to-hex map
+ */
+export function generateScale(hex) {
+  const { l, c, h } = hexToOklch(hex);
+  const baseIndex = naturalStepIndex(l);
+  const lastIndex = SCALE_STEPS.length - 1;
+
+  const scale = {};
+  SCALE_STEPS.forEach((step, index) => {
+    if (index === baseIndex) {
+      scale[step] = hex;
+      return;
+    }
+
+    let stepL;
+    if (index < baseIndex) {
+      const top = Math.max(LIGHTEST_L, l);
+      stepL = top + (l - top) * (index / baseIndex);
+    } else {
+      const bottom = Math.min(DARKEST_L, l);
+      stepL = l + (bottom - l) * ((index - baseIndex) / (lastIndex - baseIndex));
+    }
+
+    scale[step] = oklchToHex(stepL, c, h);
+  });
+
+  return { step: SCALE_STEPS[baseIndex], scale };
+}
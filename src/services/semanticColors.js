@@ -0,0 +1,109 @@
+/**
+ * Status colors (success, warning, danger, info) harmonized with a palette
+ */
+
+import { hexToHsl, hexToOklch, oklchToHex } from '../utils/colorUtils.js';
+
+/**
+ * Status roles in output order, each with its conventional OKLCH hue range
+ * and the lightness range it stays readable in (amber turns brown when dark)
+ */
+const STATUS_RANGES = {
+  success: { hue: [135, 165], lightness: [0.5, 0.7] },
+  warning: { hue: [60, 90], lightness: [0.72, 0.85] },
+  danger: { hue: [15, 35], lightness: [0.5, 0.68] },
+  info: { hue: [215, 265], lightness: [0.5, 0.7] }
+};
+
+/**
+ * Semantic role names, in the order they are appended to a palette
+ */
+export const SEMANTIC_ROLES = Object.keys(STATUS_RANGES);
+
+/**
+ * Chroma below which a color reads as gray and can't stand in for a status
+ */
+const MIN_CHROMA = 0.08;
+
+/**
+ * Chroma range derived status colors are kept within
+ */
+const CHROMA_RANGE = [0.1, 0.2];
+
+/**
+ * How far outside a role's lightness range a palette color may sit and still be reused
+ */
+const LIGHTNESS_TOLERANCE = 0.08;
+
+function clamp(value, [min, max]) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Find the palette color closest to the middle of a role's hue range, if any
+ * color is chromatic enough and falls inside it
+ * @returns {number} Index into colors, or -1
+ */
+function findInRange(oklchColors, { hue, lightness }) {
+  const center = (hue[0] + hue[1]) / 2;
+  let best = -1;
+  let bestDistance = Infinity;
+
+  oklchColors.forEach(({ l, c, h }, index) => {
+    if (c < MIN_CHROMA || h < hue[0] || h > hue[1]) return;
+    if (l < lightness[0] - LIGHTNESS_TOLERANCE || l > lightness[1] + LIGHTNESS_TOLERANCE) return;
+    if (Math.abs(h - center) < bestDistance) {
+      bestDistance = Math.abs(h - center);
+      best = index;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Derive success, warning, danger and info colors for a palette. A palette color
+ * already in a role's hue range is reused as-is; otherwise the role's hue is
+ * combined with the palette's average lightness and chroma so the status color
+ * sits at the same weight as the harmony.
+ * @param {Array<{hex: string}>} colors - Palette colors
+ * @returns {Array<{hex: string, hsl: Object, role: string, source?: number}>}
+ *   Status colors; source is the index of the palette color that was reused
+ */
+export function deriveSemanticColors(colors) {
+  const oklchColors = colors.map(color => hexToOklch(color.hex));
+  const chromatic = oklchColors.filter(({ c }) => c >= MIN_CHROMA);
+  const reference = chromatic.length > 0 ? chromatic : oklchColors;
+  const paletteL = average(reference.map(({ l }) => l));
+  const paletteC = average(reference.map(({ c }) => c));
+
+  return SEMANTIC_ROLES.map(role => {
+    const range = STATUS_RANGES[role];
+    const source = findInRange(oklchColors, range);
+
+    if (source !== -1) {
+      const { hex } = colors[source];
+      return { hex, hsl: hexToHsl(hex), role, source };
+    }
+
+    const hex = oklchToHex(
+      clamp(paletteL, range.lightness),
+      clamp(paletteC, CHROMA_RANGE),
+      (range.hue[0] + range.hue[1]) / 2
+    );
+    return { hex, hsl: hexToHsl(hex), role };
+  });
+}
+
+/**
+ * Whether a role is one of the semantic status roles
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isSemanticRole(role) {
+  return SEMANTIC_ROLES.includes(role);
+}
@@ -0,0 +1,212 @@
+/**
+ * Light and dark semantic UI themes derived from a palette
+ */
+
+import {
+  hexToOklch,
+  oklchToHex,
+  contrastRatio,
+  getContrastColor
+} from '../utils/colorUtils.js';
+
+/**
+ * Minimum WCAG contrast for body text and for non-text UI (borders of inputs, focus rings)
+ */
+const TEXT_CONTRAST = 4.5;
+const UI_CONTRAST = 3;
+
+/**
+ * Semantic tokens in output order
+ */
+export const THEME_TOKENS = [
+  'background',
+  'surface-1',
+  'surface-2',
+  'surface-3',
+  'border',
+  'border-strong',
+  'text',
+  'text-muted',
+  'primary',
+  'primary-hover',
+  'on-primary',
+  'accent',
+  'on-accent',
+  'link',
+  'focus-ring'
+];
+
+/**
+ * Per-scheme OKLCH lightness for the neutral ramp, tinted with the primary hue
+ */
+const NEUTRALS = {
+  light: {
+    background: 0.99,
+    'surface-1': 0.97,
+    'surface-2': 0.945,
+    'surface-3': 0.915,
+    border: 0.87,
+    'border-strong': 0.6,
+    text: 0.22,
+    'text-muted': 0.48
+  },
+  dark: {
+    background: 0.17,
+    'surface-1': 0.21,
+    'surface-2': 0.25,
+    'surface-3': 0.29,
+    border: 0.36,
+    'border-strong': 0.6,
+    text: 0.95,
+    'text-muted': 0.74
+  }
+};
+
+const SURFACES = ['background', 'surface-1', 'surface-2', 'surface-3'];
+
+/**
+ * Lowest contrast of a color against any of the given backgrounds
+ */
+function minContrast(hex, backgrounds) {
+  return Math.min(...backgrounds.map(bg => contrastRatio(hex, bg)));
+}
+
+/**
+ * Move a color's OKLCH lightness away from the backgrounds (darker in light
+ * schemes, lighter in dark ones) until it meets a contrast target on all of them
+ * @param {string} hex - Starting color
+ * @param {string[]} backgrounds - Hex backgrounds it must stand out against
+ * @param {number} target - Minimum WCAG contrast ratio
+ * @param {string} scheme - 'light' or 'dark'
+ * @returns {string}
+ */
+function ensureContrast(hex, backgrounds, target, scheme) {
+  if (minContrast(hex, backgrounds) >= target) return hex;
+
+  const { l, c, h } = hexToOklch(hex);
+  const direction = scheme === 'light' ? -1 : 1;
+
+  for (let candidateL = l; candidateL >= 0 && candidateL <= 1; candidateL += direction * 0.005) {
+    const candidate = oklchToHex(candidateL, c, h);
+    if (minContrast(candidate, backgrounds) >= target) return candidate;
+  }
+
+  return scheme === 'light' ? '#000000' : '#ffffff';
+}
+
+/**
+ * Derive one scheme's tokens
+ * @param {Object} palette - Palette with colors [{hex, role}]
+ * @param {string} scheme - 'light' or 'dark'
+ * @returns {Object<string, string>} Token name to hex
+ */
+function deriveScheme(palette, scheme) {
+  const primaryHex = palette.colors[0].hex;
+  const accentHex = (palette.colors[1] || palette.colors[0]).hex;
+  const { c: primaryChroma, h: hue } = hexToOklch(primaryHex);
+
+  // Neutrals carry a hint of the primary hue, scaled down for muted primaries
+  const tint = Math.min(0.012, primaryChroma * 0.1);
+  const tokens = {};
+  Object.entries(NEUTRALS[scheme]).forEach(([token, l]) => {
+    tokens[token] = oklchToHex(l, token.startsWith('text') ? tint * 1.5 : tint, hue);
+  });
+
+  const surfaces = SURFACES.map(token => tokens[token]);
+
+  tokens.text = ensureContrast(tokens.text, surfaces, TEXT_CONTRAST, scheme);
+  tokens['text-muted'] = ensureContrast(tokens['text-muted'], surfaces, TEXT_CONTRAST, scheme);
+  tokens['border-strong'] = ensureContrast(tokens['border-strong'], surfaces, UI_CONTRAST, scheme);
+
+  // Brand fills: the palette colors as-is in light mode, lifted if they vanish on a dark background
+  tokens.primary = scheme === 'dark'
+    ? ensureContrast(primaryHex, [tokens.background], UI_CONTRAST, scheme)
+    : primaryHex;
+  tokens.accent = scheme === 'dark'
+    ? ensureContrast(accentHex, [tokens.background], UI_CONTRAST, scheme)
+    : accentHex;
+
+  const { l: primaryL, c, h } = hexToOklch(tokens.primary);
+  tokens['primary-hover'] = oklchToHex(primaryL + (scheme === 'light' ? -0.06 : 0.06), c, h);
+  tokens['on-primary'] = getContrastColor(tokens.primary);
+  tokens['on-accent'] = getContrastColor(tokens.accent);
+
+  tokens.link = ensureContrast(primaryHex, surfaces, TEXT_CONTRAST, scheme);
+  tokens['focus-ring'] = ensureContrast(primaryHex, surfaces, UI_CONTRAST, scheme);
+
+  return Object.fromEntries(THEME_TOKENS.map(token => [token, tokens[token]]));
+}
+
+/**
+ * Contrast requirements each scheme is checked against
+ */
+const CHECKS = [
+  ...SURFACES.flatMap(bg => [
+    { foreground: 'text', background: bg, required: TEXT_CONTRAST },
+    { foreground: 'text-muted', background: bg, required: TEXT_CONTRAST },
+    { foreground: 'link', background: bg, required: TEXT_CONTRAST },
+    { foreground: 'border-strong', background: bg, required: UI_CONTRAST },
+    { foreground: 'focus-ring', background: bg, required: UI_CONTRAST }
+  ]),
+  { foreground: 'on-primary', background: 'primary', required: TEXT_CONTRAST },
+  { foreground: 'on-accent', background: 'accent', required: TEXT_CONTRAST }
+];
+
+function checkScheme(tokens) {
+  return CHECKS.map(check => {
+    const ratio = contrastRatio(tokens[check.foreground], tokens[check.background]);
+    return {
+      ...check,
+      ratio: Math.round(ratio * 100) / 100,
+      passes: ratio >= check.required
+    };
+  });
+}
+
+/**
+ * Build CSS custom properties for both schemes. Light applies by default,
+ * dark under prefers-color-scheme and [data-theme="dark"].
+ */
+function buildThemeCSS(light, dark) {
+  const declarations = (tokens, indent) => THEME_TOKENS
+    .map(token => `${indent}--theme-${token}: ${tokens[token]};`)
+    .join('\n');
+
+  return [
+    ':root {',
+    declarations(light, '  '),
+    '}',
+    '',
+    '@media (prefers-color-scheme: dark) {',
+    '  :root:not([data-theme="light"]) {',
+    declarations(dark, '    '),
+    '  }',
+    '}',
+    '',
+    '[data-theme="dark"] {',
+    declarations(dark, '  '),
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Derive light and dark semantic themes from a palette. Neutrals are tinted
+ * with the primary hue; text, links, strong borders and focus rings are
+ * adjusted until they meet WCAG minimums on every surface.
+ * @param {Object} palette - Palette with colors [{hex, role}]
+ * @returns {{light: Object, dark: Object, checks: Object, css: string}}
+ */
+export function generateTheme(palette) {
+  const light = deriveScheme(palette, 'light');
+  const dark = deriveScheme(palette, 'dark');
+
+  return {
+    light,
+    dark,
+    checks: {
+      light: checkScheme(light),
+      dark: checkScheme(dark)
+    },
+    css: buildThemeCSS(light, dark)
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Color vision deficiency (CVD) simulation
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  hexToHsl,
+  srgbToLinear,
+  linearToSrgb,
+  deltaEOK
+} from '../utils/colorUtils.js';
+
+/**
+ * Machado et al. (2009) simulation matrices for full-severity dichromacy,
+ * applied to linear RGB. Partial severities blend with the identity matrix.
+ */
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ],
+  // Rod monochromacy: every channel becomes relative luminance
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722]
+  ]
+};
+
+/**
+ * Available deficiency types
+ */
+export const CVD_TYPES = Object.keys(CVD_MATRICES);
+
+/**
+ * OKLab distance below which two simulated colors are reported as indistinguishable
+ */
+export const INDISTINGUISHABLE_DELTA_E = 0.05;
+
+/**
+ * Simulate how a color appears with a given deficiency
+ * @param {string} hex - Hex color
+ * @param {string} type - One of CVD_TYPES
+ * @param {number} [severity] - 0 (normal vision) to 1 (full dichromacy)
+ * @returns {string} Simulated hex color
+ */
+export function simulateColor(hex, type, severity = 1) {
+  const matrix = CVD_MATRICES[type];
+  const amount = Math.max(0, Math.min(1, severity));
+  const { r, g, b } = hexToRgb(hex);
+  const linear = [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)];
+
+  const simulated = matrix.map((row, i) => {
+    const full = row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2];
+    const value = linear[i] + (full - linear[i]) * amount;
+    return linearToSrgb(Math.max(0, Math.min(1, value)));
+  });
+
+  return rgbToHex(simulated[0], simulated[1], simulated[2]);
+}
+
+/**
+ * Simulate a list of colors and find pairs that become indistinguishable
+ * @param {string[]} hexes - Hex colors
+ * @param {string} type - One of CVD_TYPES
+ * @param {number} [severity] - 0 to 1
+ * @returns {Object} Simulated colors and conflicting pairs
+ */
+export function simulatePalette(hexes, type, severity = 1) {
+  const colors = hexes.map(hex => {
+    const simulated = simulateColor(hex, type, severity);
+    return {
+      original: hex,
+      hex: simulated,
+      hsl: hexToHsl(simulated)
+    };
+  });
+
+  const conflicts = [];
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      const deltaE = deltaEOK(colors[i].hex, colors[j].hex);
+      if (deltaE < INDISTINGUISHABLE_DELTA_E) {
+        conflicts.push({
+          indices: [i, j],
+          colors: [colors[i].original, colors[j].original],
+          deltaE: Math.round(deltaE * 1000) / 1000
+        });
+      }
+    }
+  }
+
+  return { type, severity, colors, conflicts };
+}
@@ -137,23 +137,194 @@ export function hslToHex(h, s, l) {
   return rgbToHex(r, g, b);
 }
 
+/**
+ * Convert RGB to HSV (HSB)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{h: number, s: number, v: number}} HSV values (h: 0-360, s: 0-100, v: 0-100, unrounded)
+ */
+export function rgbToHsv(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  let h = 0;
+
+  if (d !== 0) {
+    switch (max) {
+      case r:
+        h = ((g - b) / d + (g < b ? 6 : 0)) * 60;
+        break;
+      case g:
+        h = ((b - r) / d + 2) * 60;
+        break;
+      case b:
+        h = ((r - g) / d + 4) * 60;
+        break;
+    }
+  }
+
+  return {
+    h,
+    s: max === 0 ? 0 : d / max * 100,
+    v: max * 100
+  };
+}
+
+/**
+ * Convert HSV (HSB) to RGB
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} v - Value (0-100)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function hsvToRgb(h, s, v) {
+  s /= 100;
+  v /= 100;
+  const f = (n) => {
+    const k = (n + normalizeHue(h) / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+
+  return {
+    r: Math.round(f(5) * 255),
+    g: Math.round(f(3) * 255),
+    b: Math.round(f(1) * 255)
+  };
+}
+
+/**
+ * Convert RGB to HWB (CSS Color 4)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{h: number, w: number, b: number}} HWB values (h: 0-360, w: 0-100, b: 0-100, unrounded)
+ */
+export function rgbToHwb(r, g, b) {
+  const { h } = rgbToHsv(r, g, b);
+  return {
+    h,
+    w: Math.min(r, g, b) / 255 * 100,
+    b: (1 - Math.max(r, g, b) / 255) * 100
+  };
+}
+
+/**
+ * Convert HWB to RGB. Whiteness and blackness adding up to 100 or more give a gray.
+ * @param {number} h - Hue (0-360)
+ * @param {number} w - Whiteness (0-100)
+ * @param {number} b - Blackness (0-100)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function hwbToRgb(h, w, b) {
+  if (w + b >= 100) {
+    const gray = Math.round(w / (w + b) * 255);
+    return { r: gray, g: gray, b: gray };
+  }
+  const v = 100 - b;
+  return hsvToRgb(h, (1 - w / v) * 100, v);
+}
+
+/**
+ * Convert RGB to naive (uncalibrated) CMYK
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{c: number, m: number, y: number, k: number}} CMYK values (0-100, unrounded)
+ */
+export function rgbToCmyk(r, g, b) {
+  const k = 1 - Math.max(r, g, b) / 255;
+  if (k === 1) {
+    return { c: 0, m: 0, y: 0, k: 100 };
+  }
+
+  const ink = (channel) => (1 - channel / 255 - k) / (1 - k) * 100;
+  return { c: ink(r), m: ink(g), y: ink(b), k: k * 100 };
+}
+
+/**
+ * Convert naive CMYK to RGB
+ * @param {number} c - Cyan (0-100)
+ * @param {number} m - Magenta (0-100)
+ * @param {number} y - Yellow (0-100)
+ * @param {number} k - Black (0-100)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function cmykToRgb(c, m, y, k) {
+  const channel = (ink) => Math.round(255 * (1 - ink / 100) * (1 - k / 100));
+  return { r: channel(c), g: channel(m), b: channel(y) };
+}
+
+/**
+ * Create a random seed string suitable for createRng
+ * @returns {string} Base-36 seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+/**
+ * Hash a seed (string or number) into a 32-bit unsigned integer (FNV-1a)
+ * @param {string|number} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic pseudo-random number generator (mulberry32)
+ * @param {string|number} [seed] - Seed value; falls back to Math.random when omitted
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.random;
+  }
+
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Generate a random hex color
+ * @param {() => number} [rng] - Random source (default: Math.random)
  * @returns {string} Random hex color with #
  */
-export function randomHex() {
-  return '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0');
+export function randomHex(rng = Math.random) {
+  return '#' + Math.floor(rng() * 16777215).toString(16).padStart(6, '0');
 }
 
 /**
- * Generate a random HSL color with good saturation and lightness
+ * Generate a random HSL color, by default with good saturation and lightness
+ * @param {() => number} [rng] - Random source (default: Math.random)
+ * @param {Object} [ranges] - Saturation and lightness ranges (percent)
+ * @param {number} [ranges.minS] - Default: 50
+ * @param {number} [ranges.maxS] - Default: 90
+ * @param {number} [ranges.minL] - Default: 35
+ * @param {number} [ranges.maxL] - Default: 65
  * @returns {{h: number, s: number, l: number}}
  */
-export function randomHsl() {
+export function randomHsl(rng = Math.random, ranges = {}) {
+  const { minS = 50, maxS = 90, minL = 35, maxL = 65 } = ranges;
   return {
-    h: Math.floor(Math.random() * 360),
-    s: Math.floor(Math.random() * 40) + 50, // 50-90% saturation
-    l: Math.floor(Math.random() * 30) + 35  // 35-65% lightness
+    h: Math.floor(rng() * 360),
+    s: Math.floor(rng() * (maxS - minS)) + minS,
+    l: Math.floor(rng() * (maxL - minL)) + minL
   };
 }
 
@@ -166,14 +337,903 @@ export function normalizeHue(hue) {
   return ((hue % 360) + 360) % 360;
 }
 
+/**
+ * Shortest distance between two hues in degrees (0-180)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function hueDistance(a, b) {
+  const d = Math.abs(normalizeHue(a) - normalizeHue(b));
+  return Math.min(d, 360 - d);
+}
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+export function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert an 8-bit sRGB channel to linear light
+ * @param {number} channel - Channel value (0-255)
+ * @returns {number} Linear value (0-1)
+ */
+export function srgbToLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear-light channel to 8-bit sRGB
+ * @param {number} value - Linear value (0-1)
+ * @returns {number} Channel value (0-255, unrounded)
+ */
+export function linearToSrgb(value) {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return c * 255;
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{l: number, a: number, b: number}} OKLab values (l: 0-1)
+ */
+export function rgbToOklab(r, g, b) {
+  return linearRgbToOklab(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+}
+
+/**
+ * Convert linear-light RGB (0-1, or beyond for out-of-gamut colors) to OKLab
+ */
+function linearRgbToOklab(lr, lg, lb) {
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * Convert OKLab to linear-light RGB (may fall outside 0-1 when out of gamut)
+ * @param {number} L - Lightness (0-1)
+ * @param {number} a - Green/red axis
+ * @param {number} b - Blue/yellow axis
+ * @returns {{r: number, g: number, b: number}}
+ */
+function oklabToLinearRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return {
+    r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  };
+}
+
+/**
+ * Convert OKLab to RGB (channels are clamped to the sRGB gamut)
+ * @param {number} l - Lightness (0-1)
+ * @param {number} a - Green/red axis
+ * @param {number} b - Blue/yellow axis
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function oklabToRgb(l, a, b) {
+  const linear = oklabToLinearRgb(l, a, b);
+  const toChannel = (v) => Math.round(Math.max(0, Math.min(255, linearToSrgb(Math.max(0, v)))));
+  return {
+    r: toChannel(linear.r),
+    g: toChannel(linear.g),
+    b: toChannel(linear.b)
+  };
+}
+
+/**
+ * Convert RGB to OKLCH
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{l: number, c: number, h: number}} OKLCH values (l: 0-1, c: 0-~0.4, h: 0-360)
+ */
+export function rgbToOklch(r, g, b) {
+  const lab = rgbToOklab(r, g, b);
+  const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+  const h = c < 1e-4 ? 0 : normalizeHue(Math.atan2(lab.b, lab.a) * 180 / Math.PI);
+  return { l: lab.l, c, h };
+}
+
+/**
+ * Check whether an OKLCH color lies inside the sRGB gamut
+ * @param {number} l - Lightness (0-1)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {boolean}
+ */
+export function isOklchInGamut(l, c, h) {
+  const rad = h * Math.PI / 180;
+  const { r, g, b } = oklabToLinearRgb(l, c * Math.cos(rad), c * Math.sin(rad));
+  const eps = 1e-6;
+  return [r, g, b].every(v => v >= -eps && v <= 1 + eps);
+}
+
+/**
+ * Find the largest chroma (up to the requested one) that keeps a color in gamut
+ * @param {number} chroma - Requested chroma
+ * @param {(chroma: number) => boolean} inGamut - Gamut test at fixed lightness and hue
+ * @returns {number}
+ */
+function mapChromaToGamut(chroma, inGamut) {
+  if (inGamut(chroma)) return chroma;
+
+  let low = 0;
+  let high = chroma;
+  while (high - low > chroma * 1e-4) {
+    const mid = (low + high) / 2;
+    if (inGamut(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Convert OKLCH to RGB, reducing chroma at constant lightness and hue
+ * until the color fits in the sRGB gamut
+ * @param {number} l - Lightness (0-1)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function oklchToRgb(l, c, h) {
+  const lightness = Math.max(0, Math.min(1, l));
+  const chroma = mapChromaToGamut(Math.max(0, c), (value) => isOklchInGamut(lightness, value, h));
+
+  const rad = h * Math.PI / 180;
+  return oklabToRgb(lightness, chroma * Math.cos(rad), chroma * Math.sin(rad));
+}
+
+/**
+ * Convert hex to OKLCH
+ * @param {string} hex - Hex color string
+ * @returns {{l: number, c: number, h: number}}
+ */
+export function hexToOklch(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return rgbToOklch(r, g, b);
+}
+
+/**
+ * Convert OKLCH to hex (gamut mapped)
+ * @param {number} l - Lightness (0-1)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {string} Hex color with #
+ */
+export function oklchToHex(l, c, h) {
+  const { r, g, b } = oklchToRgb(l, c, h);
+  return rgbToHex(r, g, b);
+}
+
+/**
+ * D50 reference white used by CIELAB (matches CSS lab()/lch())
+ */
+const D50_WHITE = { x: 0.3457 / 0.3585, y: 1, z: (1 - 0.3457 - 0.3585) / 0.3585 };
+
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+/**
+ * Convert RGB to CIE XYZ (D65)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{x: number, y: number, z: number}} XYZ values (y: 0-1)
+ */
+export function rgbToXyz(r, g, b) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  return {
+    x: 0.4123907992659595 * lr + 0.357584339383878 * lg + 0.1804807884018343 * lb,
+    y: 0.21263900587151027 * lr + 0.715168678767756 * lg + 0.07219231536073371 * lb,
+    z: 0.01933081871559182 * lr + 0.11919477979462598 * lg + 0.9505321522496606 * lb
+  };
+}
+
+/**
+ * Convert CIE XYZ (D65) to linear-light RGB (may fall outside 0-1 when out of gamut)
+ */
+function xyzToLinearRgb(x, y, z) {
+  return {
+    r: 3.2409699419045226 * x - 1.537383177570094 * y - 0.4986107602930034 * z,
+    g: -0.9692436362808796 * x + 1.8759675015077202 * y + 0.04155505740717559 * z,
+    b: 0.05563007969699366 * x - 0.20397695888897652 * y + 1.0569715142428786 * z
+  };
+}
+
+/**
+ * Convert CIE XYZ (D65) to RGB (channels are clamped to the sRGB gamut)
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function xyzToRgb(x, y, z) {
+  const linear = xyzToLinearRgb(x, y, z);
+  const toChannel = (v) => Math.round(Math.max(0, Math.min(255, linearToSrgb(Math.max(0, v)))));
+  return {
+    r: toChannel(linear.r),
+    g: toChannel(linear.g),
+    b: toChannel(linear.b)
+  };
+}
+
+/**
+ * Adapt XYZ from D65 to D50 (Bradford)
+ */
+function xyzD65ToD50({ x, y, z }) {
+  return {
+    x: 1.0479298208405488 * x + 0.022946793341019088 * y - 0.05019222954313557 * z,
+    y: 0.029627815688159344 * x + 0.990434484573249 * y - 0.01707382502938514 * z,
+    z: -0.009243058152591178 * x + 0.015055144896577895 * y + 0.7518742899580008 * z
+  };
+}
+
+/**
+ * Adapt XYZ from D50 to D65 (Bradford)
+ */
+function xyzD50ToD65({ x, y, z }) {
+  return {
+    x: 0.9554734527042182 * x - 0.023098536874261423 * y + 0.0632593086610217 * z,
+    y: -0.028369706963208136 * x + 1.0099954580058226 * y + 0.021041398966943008 * z,
+    z: 0.012314001688319899 * x - 0.020507696433477912 * y + 1.3303659366080753 * z
+  };
+}
+
+/**
+ * Convert CIELAB (D50) to XYZ (D65)
+ */
+function labToXyz(l, a, b) {
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+
+  const xr = Math.pow(fx, 3) > LAB_EPSILON ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_KAPPA;
+  const yr = l > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : l / LAB_KAPPA;
+  const zr = Math.pow(fz, 3) > LAB_EPSILON ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_KAPPA;
+
+  return xyzD50ToD65({ x: xr * D50_WHITE.x, y: yr * D50_WHITE.y, z: zr * D50_WHITE.z });
+}
+
+/**
+ * Convert RGB to CIELAB (D50, as used by CSS lab())
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{l: number, a: number, b: number}} LAB values (l: 0-100)
+ */
+export function rgbToLab(r, g, b) {
+  const { x, y, z } = xyzD65ToD50(rgbToXyz(r, g, b));
+  const f = (t) => t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+
+  const fx = f(x / D50_WHITE.x);
+  const fy = f(y / D50_WHITE.y);
+  const fz = f(z / D50_WHITE.z);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+/**
+ * Convert CIELAB (D50) to RGB (channels are clamped to the sRGB gamut)
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green/red axis
+ * @param {number} b - Blue/yellow axis
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function labToRgb(l, a, b) {
+  const { x, y, z } = labToXyz(l, a, b);
+  return xyzToRgb(x, y, z);
+}
+
+/**
+ * Convert RGB to CIE LCh (cylindrical CIELAB)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{l: number, c: number, h: number}} LCh values (l: 0-100, c: 0-~150, h: 0-360)
+ */
+export function rgbToLch(r, g, b) {
+  const lab = rgbToLab(r, g, b);
+  const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+  const h = c < 1e-2 ? 0 : normalizeHue(Math.atan2(lab.b, lab.a) * 180 / Math.PI);
+  return { l: lab.l, c, h };
+}
+
+/**
+ * Check whether a CIE LCh color lies inside the sRGB gamut
+ * @param {number} l - Lightness (0-100)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {boolean}
+ */
+export function isLchInGamut(l, c, h) {
+  const rad = h * Math.PI / 180;
+  const { x, y, z } = labToXyz(l, c * Math.cos(rad), c * Math.sin(rad));
+  const { r, g, b } = xyzToLinearRgb(x, y, z);
+  const eps = 1e-6;
+  return [r, g, b].every(v => v >= -eps && v <= 1 + eps);
+}
+
+/**
+ * Convert CIE LCh to RGB, reducing chroma at constant lightness and hue
+ * until the color fits in the sRGB gamut
+ * @param {number} l - Lightness (0-100)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function lchToRgb(l, c, h) {
+  const lightness = Math.max(0, Math.min(100, l));
+  const chroma = mapChromaToGamut(Math.max(0, c), (value) => isLchInGamut(lightness, value, h));
+
+  const rad = h * Math.PI / 180;
+  return labToRgb(lightness, chroma * Math.cos(rad), chroma * Math.sin(rad));
+}
+
+/**
+ * Convert hex to CIE LCh
+ * @param {string} hex - Hex color string
+ * @returns {{l: number, c: number, h: number}}
+ */
+export function hexToLch(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return rgbToLch(r, g, b);
+}
+
+/**
+ * Convert CIE LCh to hex (gamut mapped)
+ * @param {number} l - Lightness (0-100)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {string} Hex color with #
+ */
+export function lchToHex(l, c, h) {
+  const { r, g, b } = lchToRgb(l, c, h);
+  return rgbToHex(r, g, b);
+}
+
+/**
+ * Get the perceptual distance between two colors (Euclidean distance in OKLab)
+ * @param {string} hexA - First hex color
+ * @param {string} hexB - Second hex color
+ * @returns {number} Distance (0 = identical, ~0.02 is a just-noticeable difference)
+ */
+export function deltaEOK(hexA, hexB) {
+  const a = hexToRgb(hexA);
+  const b = hexToRgb(hexB);
+  const labA = rgbToOklab(a.r, a.g, a.b);
+  const labB = rgbToOklab(b.r, b.g, b.b);
+  return Math.sqrt(
+    Math.pow(labA.l - labB.l, 2) +
+    Math.pow(labA.a - labB.a, 2) +
+    Math.pow(labA.b - labB.b, 2)
+  );
+}
+
+/**
+ * Get the CIEDE2000 color difference between two colors (on CIELAB D50)
+ * @param {string} hexA - First hex color
+ * @param {string} hexB - Second hex color
+ * @returns {number} ΔE00 (0 = identical, ~1 is a just-noticeable difference)
+ */
+export function deltaE2000(hexA, hexB) {
+  const rgbA = hexToRgb(hexA);
+  const rgbB = hexToRgb(hexB);
+  const lab1 = rgbToLab(rgbA.r, rgbA.g, rgbA.b);
+  const lab2 = rgbToLab(rgbB.r, rgbB.g, rgbB.b);
+  const rad = Math.PI / 180;
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hp1 = cp1 === 0 ? 0 : normalizeHue(Math.atan2(lab1.b, a1) / rad);
+  const hp2 = cp2 === 0 ? 0 : normalizeHue(Math.atan2(lab2.b, a2) / rad);
+
+  const dL = lab2.l - lab1.l;
+  const dC = cp2 - cp1;
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = hp2 - hp1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh / 2 * rad);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (cp1 + cp2) / 2;
+  let hMean = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    hMean = Math.abs(hp1 - hp2) > 180
+      ? (hp1 + hp2 + (hp1 + hp2 < 360 ? 360 : -360)) / 2
+      : (hp1 + hp2) / 2;
+  }
+
+  const t = 1 -
+    0.17 * Math.cos((hMean - 30) * rad) +
+    0.24 * Math.cos(2 * hMean * rad) +
+    0.32 * Math.cos((3 * hMean + 6) * rad) -
+    0.20 * Math.cos((4 * hMean - 63) * rad);
+  const lMean50 = Math.pow(lMean - 50, 2);
+  const sL = 1 + 0.015 * lMean50 / Math.sqrt(20 + lMean50);
+  const sC = 1 + 0.045 * cpMean;
+  const sH = 1 + 0.015 * cpMean * t;
+  const cpMean7 = Math.pow(cpMean, 7);
+  const rT = -2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7))) *
+    Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * rad);
+
+  return Math.sqrt(
+    Math.pow(dL / sL, 2) +
+    Math.pow(dC / sC, 2) +
+    Math.pow(dH / sH, 2) +
+    rT * (dC / sC) * (dH / sH)
+  );
+}
+
+/**
+ * Get WCAG 2.x relative luminance of a color
+ * @param {string} hex - Hex color string
+ * @returns {number} Relative luminance (0-1)
+ */
+export function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/**
+ * Get the WCAG 2.x contrast ratio between two colors
+ * @param {string} hexA - First hex color
+ * @param {string} hexB - Second hex color
+ * @returns {number} Contrast ratio (1-21)
+ */
+export function contrastRatio(hexA, hexB) {
+  const la = relativeLuminance(hexA);
+  const lb = relativeLuminance(hexB);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * Get the APCA lightness contrast (Lc) of text on a background (APCA-W3 0.0.98G)
+ * @param {string} textHex - Text hex color
+ * @param {string} bgHex - Background hex color
+ * @returns {number} Lc value (positive for dark text on light, negative for light on dark)
+ */
+export function apcaContrast(textHex, bgHex) {
+  const screenLuminance = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    const y = 0.2126729 * Math.pow(r / 255, 2.4) +
+      0.7151522 * Math.pow(g / 255, 2.4) +
+      0.0721750 * Math.pow(b / 255, 2.4);
+    // Soft clamp near black
+    return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+  };
+
+  const yText = screenLuminance(textHex);
+  const yBg = screenLuminance(bgHex);
+
+  if (Math.abs(yBg - yText) < 0.0005) return 0;
+
+  let lc;
+  if (yBg > yText) {
+    // Dark text on light background
+    const sapc = (Math.pow(yBg, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+    lc = sapc < 0.1 ? 0 : sapc - 0.027;
+  } else {
+    // Light text on dark background
+    const sapc = (Math.pow(yBg, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+    lc = sapc > -0.1 ? 0 : sapc + 0.027;
+  }
+
+  return lc * 100;
+}
+
 /**
  * Get a contrasting text color (black or white) for a background
  * @param {string} hex - Background hex color
- * @returns {string} '#000000' or '#ffffff'
+ * @returns {string} '#000000' or '#ffffff', whichever has the higher WCAG contrast ratio
  */
 export function getContrastColor(hex) {
-  const { r, g, b } = hexToRgb(hex);
-  // Using relative luminance formula
-  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-  return luminance > 0.5 ? '#000000' : '#ffffff';
+  return contrastRatio(hex, '#000000') >= contrastRatio(hex, '#ffffff') ? '#000000' : '#ffffff';
+}
+
+/**
+ * CSS named colors (CSS Color Level 4)
+ */
+export const CSS_NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+/**
+ * Linear-light RGB to XYZ (D65) matrices and transfer functions for the
+ * predefined spaces of color(), as given in CSS Color Level 4
+ */
+const PREDEFINED_SPACES = {
+  'srgb': {
+    toLinear: (v) => srgbToLinear(v * 255),
+    toXyz: null
+  },
+  'srgb-linear': {
+    toLinear: (v) => v,
+    toXyz: null
+  },
+  'display-p3': {
+    toLinear: (v) => srgbToLinear(v * 255),
+    toXyz: [
+      [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+      [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+      [0, 32229 / 714400, 5220557 / 5000800]
+    ]
+  },
+  'a98-rgb': {
+    toLinear: (v) => Math.sign(v) * Math.pow(Math.abs(v), 563 / 256),
+    toXyz: [
+      [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+      [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+      [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+    ]
+  },
+  'prophoto-rgb': {
+    toLinear: (v) => (Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.pow(Math.abs(v), 1.8)),
+    // ProPhoto is defined relative to D50
+    toXyz: [
+      [0.7977666449006423, 0.1351812974005331, 0.0313477341283922],
+      [0.2880748288194013, 0.711835234241873, 0.0000899369387256],
+      [0, 0, 0.8251046025104602]
+    ],
+    d50: true
+  },
+  'rec2020': {
+    toLinear: (v) => {
+      const alpha = 1.09929682680944;
+      const beta = 0.018053968510807;
+      const abs = Math.abs(v);
+      return abs < beta * 4.5 ? v / 4.5 : Math.sign(v) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+    },
+    toXyz: [
+      [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+      [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+      [0, 19567812 / 697040785, 295819943 / 278816314]
+    ]
+  }
+};
+
+const XYZ_SPACES = ['xyz', 'xyz-d65', 'xyz-d50'];
+
+/**
+ * Split the argument list of a CSS color function into component tokens.
+ * Accepts the modern space-separated syntax with an optional "/ alpha"
+ * and the legacy comma-separated syntax.
+ * @param {string} args
+ * @returns {{components: string[], alpha: string|null, legacy: boolean}|null}
+ */
+function splitColorArgs(args) {
+  if (args.includes(',')) {
+    const parts = args.split(',').map(part => part.trim());
+    if (parts.length > 4 || parts.some(part => part === '' || /\s|\//.test(part))) return null;
+    return { components: parts.slice(0, 3), alpha: parts.length > 3 ? parts[3] : null, legacy: true };
+  }
+
+  const [main, alpha, extra] = args.split('/').map(part => part.trim());
+  if (extra !== undefined || alpha === '') return null;
+  return { components: main.split(/\s+/).filter(Boolean), alpha: alpha || null, legacy: false };
+}
+
+/**
+ * Parse a numeric CSS token
+ * @param {string} token
+ * @returns {{value: number, unit: string}|null} Unit is '', '%' or an angle unit; 'none' parses as 0
+ */
+function parseToken(token) {
+  if (token === undefined) return null;
+  if (token.toLowerCase() === 'none') return { value: 0, unit: '' };
+
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/i.exec(token);
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: (match[2] || '').toLowerCase() };
+}
+
+/**
+ * Parse a number or percentage, where 100% maps to `percentScale`
+ */
+function parseNumber(token, percentScale) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+  if (parsed.unit === '%') return parsed.value / 100 * percentScale;
+  return parsed.unit === '' ? parsed.value : null;
+}
+
+/**
+ * Parse a hue in degrees, accepting deg/rad/grad/turn units
+ */
+function parseHue(token) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  switch (parsed.unit) {
+    case '':
+    case 'deg':
+      return normalizeHue(parsed.value);
+    case 'rad':
+      return normalizeHue(parsed.value * 180 / Math.PI);
+    case 'grad':
+      return normalizeHue(parsed.value * 0.9);
+    case 'turn':
+      return normalizeHue(parsed.value * 360);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert linear-light sRGB to 8-bit channels, gamut mapping out-of-range
+ * colors by reducing OKLCH chroma at constant lightness and hue
+ */
+function linearRgbToGamut(lr, lg, lb) {
+  const eps = 1e-6;
+  if ([lr, lg, lb].every(v => v >= -eps && v <= 1 + eps)) {
+    const toChannel = (v) => Math.round(Math.max(0, Math.min(255, linearToSrgb(Math.max(0, v)))));
+    return { r: toChannel(lr), g: toChannel(lg), b: toChannel(lb) };
+  }
+
+  const { l, a, b } = linearRgbToOklab(lr, lg, lb);
+  const c = Math.sqrt(a * a + b * b);
+  const h = normalizeHue(Math.atan2(b, a) * 180 / Math.PI);
+  return oklchToRgb(l, c, h);
+}
+
+function multiply(matrix, [x, y, z]) {
+  return matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+}
+
+/**
+ * Parse the channels of a CSS color function into 8-bit sRGB
+ * @param {string} name - Function name (lowercase)
+ * @param {string[]} c - Component tokens
+ * @returns {{r: number, g: number, b: number}|null}
+ */
+function parseColorFunction(name, c) {
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      if (c.length !== 3) return null;
+      const channels = c.map(token => parseNumber(token, 255));
+      if (channels.includes(null)) return null;
+      const [r, g, b] = channels.map(v => Math.round(Math.max(0, Math.min(255, v))));
+      return { r, g, b };
+    }
+
+    case 'hsl':
+    case 'hsla': {
+      if (c.length !== 3) return null;
+      const h = parseHue(c[0]);
+      const s = parseNumber(c[1], 100);
+      const l = parseNumber(c[2], 100);
+      if (h === null || s === null || l === null) return null;
+      return hslToRgb(h, Math.max(0, Math.min(100, s)), Math.max(0, Math.min(100, l)));
+    }
+
+    case 'hwb': {
+      if (c.length !== 3) return null;
+      const h = parseHue(c[0]);
+      let w = parseNumber(c[1], 100);
+      let bl = parseNumber(c[2], 100);
+      if (h === null || w === null || bl === null) return null;
+
+      w = Math.max(0, Math.min(100, w)) / 100;
+      bl = Math.max(0, Math.min(100, bl)) / 100;
+      if (w + bl >= 1) {
+        const gray = Math.round(w / (w + bl) * 255);
+        return { r: gray, g: gray, b: gray };
+      }
+
+      const pure = hslToRgb(h, 100, 50);
+      const mix = (v) => Math.round((v / 255 * (1 - w - bl) + w) * 255);
+      return { r: mix(pure.r), g: mix(pure.g), b: mix(pure.b) };
+    }
+
+    case 'lab':
+    case 'lch': {
+      if (c.length !== 3) return null;
+      const l = parseNumber(c[0], 100);
+      if (l === null) return null;
+
+      let a;
+      let b;
+      if (name === 'lab') {
+        a = parseNumber(c[1], 125);
+        b = parseNumber(c[2], 125);
+      } else {
+        const chroma = parseNumber(c[1], 150);
+        const h = parseHue(c[2]);
+        if (chroma === null || h === null) return null;
+        a = Math.max(0, chroma) * Math.cos(h * Math.PI / 180);
+        b = Math.max(0, chroma) * Math.sin(h * Math.PI / 180);
+      }
+      if (a === null || b === null) return null;
+
+      const { x, y, z } = labToXyz(Math.max(0, l), a, b);
+      const linear = xyzToLinearRgb(x, y, z);
+      return linearRgbToGamut(linear.r, linear.g, linear.b);
+    }
+
+    case 'oklab':
+    case 'oklch': {
+      if (c.length !== 3) return null;
+      const l = parseNumber(c[0], 1);
+      if (l === null) return null;
+
+      let a;
+      let b;
+      if (name === 'oklab') {
+        a = parseNumber(c[1], 0.4);
+        b = parseNumber(c[2], 0.4);
+      } else {
+        const chroma = parseNumber(c[1], 0.4);
+        const h = parseHue(c[2]);
+        if (chroma === null || h === null) return null;
+        a = Math.max(0, chroma) * Math.cos(h * Math.PI / 180);
+        b = Math.max(0, chroma) * Math.sin(h * Math.PI / 180);
+      }
+      if (a === null || b === null) return null;
+
+      const linear = oklabToLinearRgb(Math.max(0, Math.min(1, l)), a, b);
+      return linearRgbToGamut(linear.r, linear.g, linear.b);
+    }
+
+    case 'color': {
+      const [spaceName, ...channels] = c;
+      const space = (spaceName || '').toLowerCase();
+      if (channels.length !== 3) return null;
+
+      const values = channels.map(token => parseNumber(token, 1));
+      if (values.includes(null)) return null;
+
+      if (XYZ_SPACES.includes(space)) {
+        const xyz = { x: values[0], y: values[1], z: values[2] };
+        const { x, y, z } = space === 'xyz-d50' ? xyzD50ToD65(xyz) : xyz;
+        const linear = xyzToLinearRgb(x, y, z);
+        return linearRgbToGamut(linear.r, linear.g, linear.b);
+      }
+
+      const predefined = PREDEFINED_SPACES[space];
+      if (!predefined) return null;
+
+      let linear = values.map(predefined.toLinear);
+      if (predefined.toXyz) {
+        let [x, y, z] = multiply(predefined.toXyz, linear);
+        if (predefined.d50) ({ x, y, z } = xyzD50ToD65({ x, y, z }));
+        const rgb = xyzToLinearRgb(x, y, z);
+        linear = [rgb.r, rgb.g, rgb.b];
+      }
+      return linearRgbToGamut(linear[0], linear[1], linear[2]);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse any CSS Color Level 4 color: named colors, #rgb/#rgba/#rrggbb/#rrggbbaa,
+ * rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch() and color().
+ * Colors outside sRGB are gamut mapped in OKLCH.
+ * @param {string} value - CSS color string
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} 8-bit sRGB and alpha (0-1), or null if unparseable
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const input = value.trim().toLowerCase();
+
+  if (input === 'transparent') {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+
+  if (CSS_NAMED_COLORS[input]) {
+    return { ...hexToRgb(CSS_NAMED_COLORS[input]), alpha: 1 };
+  }
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(input);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(d => d + d).join('');
+    }
+    return {
+      ...hexToRgb(digits.slice(0, 6)),
+      alpha: digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1
+    };
+  }
+
+  const fn = /^([a-z]+)\(\s*(.*?)\s*\)$/.exec(input);
+  if (!fn) return null;
+
+  const args = splitColorArgs(fn[2]);
+  if (!args) return null;
+
+  // Legacy comma syntax only exists for rgb() and hsl()
+  if (args.legacy && !['rgb', 'rgba', 'hsl', 'hsla'].includes(fn[1])) {
+    return null;
+  }
+
+  const rgb = parseColorFunction(fn[1], args.components);
+  if (!rgb) return null;
+
+  let alpha = 1;
+  if (args.alpha !== null) {
+    alpha = parseNumber(args.alpha, 1);
+    if (alpha === null) return null;
+  }
+
+  return { ...rgb, alpha: Math.max(0, Math.min(1, alpha)) };
 }